@@ -0,0 +1,52 @@
+/**
+ * One-off migration: pets created before shelters existed have no
+ * shelterId or location, so ?near= searches never find them. Assign every
+ * such pet to one shelter and copy its location.
+ *
+ * Usage: npm run migrate:pet-shelters -- --shelter=<shelterId> [--dry-run]
+ */
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import Shelter from '../src/models/Shelter.js';
+import Pet from '../src/models/Pet.js';
+
+dotenv.config();
+
+const dryRun = process.argv.includes('--dry-run');
+const shelterArg = process.argv.find(arg => arg.startsWith('--shelter='));
+const shelterId = shelterArg && shelterArg.slice('--shelter='.length);
+
+const migrate = async () => {
+  if (!shelterId || !mongoose.isValidObjectId(shelterId)) {
+    throw new Error('Pass the target shelter as --shelter=<shelterId>');
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI);
+  console.log('✅ MongoDB connected');
+
+  const shelter = await Shelter.findById(shelterId);
+  if (!shelter) {
+    throw new Error(`Shelter ${shelterId} not found`);
+  }
+  if (!shelter.isActive) {
+    throw new Error(`Shelter ${shelterId} is not active`);
+  }
+
+  const filter = { $or: [{ shelterId: null }, { shelterId: { $exists: false } }] };
+  let assigned;
+  if (dryRun) {
+    assigned = await Pet.countDocuments(filter);
+  } else {
+    const result = await Pet.updateMany(filter, { shelterId: shelter._id, location: shelter.location.toObject() });
+    assigned = result.modifiedCount;
+  }
+
+  console.log(`Done. Assigned ${assigned} pets to ${shelter.name}${dryRun ? ' (dry run)' : ''}`);
+};
+
+migrate()
+  .catch(err => {
+    console.error('❌ Migration failed:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,39 @@
+/**
+ * One-off migration: accounts created before email verification existed
+ * have no `emailVerified` field and would otherwise be blocked from
+ * applying. Mark them as verified.
+ *
+ * Usage: npm run migrate:verify-existing-users [-- --dry-run]
+ */
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const dryRun = process.argv.includes('--dry-run');
+
+const migrate = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+  console.log('✅ MongoDB connected');
+
+  const users = mongoose.connection.collection('users');
+  const filter = { emailVerified: { $exists: false } };
+
+  if (dryRun) {
+    const count = await users.countDocuments(filter);
+    console.log(`Would mark ${count} existing users as verified (dry run)`);
+    return;
+  }
+
+  const result = await users.updateMany(filter, {
+    $set: { emailVerified: true, emailVerifiedAt: new Date() }
+  });
+  console.log(`Done. Marked ${result.modifiedCount} existing users as verified`);
+};
+
+migrate()
+  .catch(err => {
+    console.error('❌ Migration failed:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,150 @@
+/**
+ * One-off migration for pet photos:
+ *  1. move inline `photoBase64` data URLs into the configured storage driver
+ *  2. convert the interim single `photo` field into the `photos` gallery
+ *  3. generate responsive variants for gallery photos that have none
+ *
+ * Usage: npm run migrate:photos [-- --dry-run]
+ */
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import { getStorage } from '../src/services/storage/index.js';
+import { storePetPhoto, storePhotoVariants } from '../src/services/petPhotos.js';
+
+dotenv.config();
+
+const DATA_URL_PATTERN = /^data:([^;]+);base64,(.*)$/s;
+
+const dryRun = process.argv.includes('--dry-run');
+
+// Shape of an entry in Pet.photos
+const toGalleryPhoto = (photo) => ({
+  _id: new mongoose.Types.ObjectId(),
+  ...photo,
+  uploadedAt: new Date()
+});
+
+// Read a stored object fully into memory
+const readObject = async (key) => {
+  const object = await getStorage().get(key);
+  if (!object) return null;
+
+  const chunks = [];
+  for await (const chunk of object.stream) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+};
+
+const migrate = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+  console.log('✅ MongoDB connected');
+
+  // Use the raw collection: the legacy fields are no longer part of the Pet schema
+  const pets = mongoose.connection.collection('pets');
+  let migrated = 0;
+  let failed = 0;
+
+  // 1. Inline base64 photos
+  const inline = pets.find(
+    { photoBase64: { $exists: true } },
+    { projection: { _id: 1, photoBase64: 1 } }
+  );
+
+  for await (const pet of inline) {
+    const match = DATA_URL_PATTERN.exec(pet.photoBase64 || '');
+
+    if (!match) {
+      // Keep the field: it may be the only copy of the photo
+      console.warn(`⚠️  Pet ${pet._id}: photoBase64 is not a data URL, left in place for review`);
+      failed++;
+      continue;
+    }
+
+    const buffer = Buffer.from(match[2], 'base64');
+
+    if (dryRun) {
+      console.log(`Pet ${pet._id}: would store ${buffer.length} byte photo`);
+      migrated++;
+      continue;
+    }
+
+    try {
+      const photo = await storePetPhoto(pet._id, { buffer, originalname: `pet-${pet._id}` });
+      await pets.updateOne(
+        { _id: pet._id },
+        {
+          $set: { photos: [toGalleryPhoto(photo)] },
+          $unset: { photoBase64: '' }
+        }
+      );
+      console.log(`Pet ${pet._id}: stored ${buffer.length} byte photo as ${photo.key}`);
+      migrated++;
+    } catch (err) {
+      console.error(`❌ Pet ${pet._id}: ${err.message}`);
+      failed++;
+    }
+  }
+
+  // 2. Pets stored with a single `photo` object become a one-photo gallery
+  const singles = pets.find(
+    { photo: { $exists: true }, photos: { $exists: false } },
+    { projection: { _id: 1, photo: 1 } }
+  );
+
+  for await (const pet of singles) {
+    if (dryRun) {
+      console.log(`Pet ${pet._id}: would move photo ${pet.photo.key} into gallery`);
+    } else {
+      await pets.updateOne(
+        { _id: pet._id },
+        { $set: { photos: [toGalleryPhoto(pet.photo)] }, $unset: { photo: '' } }
+      );
+      console.log(`Pet ${pet._id}: moved photo ${pet.photo.key} into gallery`);
+    }
+    migrated++;
+  }
+
+  // 3. Gallery photos without responsive variants
+  const unprocessed = pets.find(
+    { photos: { $elemMatch: { variants: { $exists: false } } } },
+    { projection: { _id: 1, photos: 1 } }
+  );
+
+  for await (const pet of unprocessed) {
+    for (const photo of pet.photos.filter(p => !p.variants)) {
+      if (dryRun) {
+        console.log(`Pet ${pet._id}: would generate variants for ${photo.key}`);
+        migrated++;
+        continue;
+      }
+
+      try {
+        const buffer = await readObject(photo.key);
+        if (!buffer) {
+          throw new Error(`stored object ${photo.key} is missing`);
+        }
+
+        const variants = await storePhotoVariants(pet._id, buffer);
+        await pets.updateOne(
+          { _id: pet._id, 'photos._id': photo._id },
+          { $set: { 'photos.$.variants': variants } }
+        );
+        console.log(`Pet ${pet._id}: generated variants for ${photo.key}`);
+        migrated++;
+      } catch (err) {
+        console.error(`❌ Pet ${pet._id}: ${err.message}`);
+        failed++;
+      }
+    }
+  }
+
+  console.log(`Done. Migrated: ${migrated}, failed: ${failed}${dryRun ? ' (dry run)' : ''}`);
+};
+
+migrate()
+  .catch(err => {
+    console.error('❌ Migration failed:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
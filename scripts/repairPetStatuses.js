@@ -0,0 +1,69 @@
+/**
+ * One-off repair: earlier versions of the application routes wrote pet
+ * statuses outside the Pet.status enum ('Under Review', 'Adopted',
+ * 'Available'). Recompute each affected pet's status from its
+ * applications, following the adoption workflow:
+ *  - an Approved application → adopted (adoptedBy/adoptionDate filled in)
+ *  - any undecided application (Pending or a later stage) → pending
+ *  - otherwise → available
+ *
+ * Usage: npm run migrate:pet-statuses [-- --dry-run]
+ */
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import { PET_STATUS, APPLICATION_STATUS, ACTIVE_APPLICATION_STATUSES } from '../src/services/adoptionWorkflow.js';
+
+dotenv.config();
+
+const dryRun = process.argv.includes('--dry-run');
+
+const migrate = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+  console.log('✅ MongoDB connected');
+
+  // Use the raw collections: invalid statuses would fail schema validation
+  const pets = mongoose.connection.collection('pets');
+  const applications = mongoose.connection.collection('applications');
+
+  const cursor = pets.find(
+    { status: { $nin: Object.values(PET_STATUS) } },
+    { projection: { _id: 1, status: 1 } }
+  );
+
+  let repaired = 0;
+
+  for await (const pet of cursor) {
+    const approved = await applications.findOne(
+      { petId: pet._id, status: APPLICATION_STATUS.APPROVED },
+      { sort: { decidedDate: -1 } }
+    );
+
+    let update;
+    if (approved) {
+      update = {
+        status: PET_STATUS.ADOPTED,
+        adoptedBy: approved.userId,
+        adoptionDate: approved.decidedDate || approved.updatedAt || new Date()
+      };
+    } else if (await applications.findOne({ petId: pet._id, status: { $in: ACTIVE_APPLICATION_STATUSES } })) {
+      update = { status: PET_STATUS.PENDING };
+    } else {
+      update = { status: PET_STATUS.AVAILABLE };
+    }
+
+    console.log(`Pet ${pet._id}: '${pet.status}' → '${update.status}'${dryRun ? ' (dry run)' : ''}`);
+    if (!dryRun) {
+      await pets.updateOne({ _id: pet._id }, { $set: update });
+    }
+    repaired++;
+  }
+
+  console.log(`Done. Repaired: ${repaired}${dryRun ? ' (dry run)' : ''}`);
+};
+
+migrate()
+  .catch(err => {
+    console.error('❌ Migration failed:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
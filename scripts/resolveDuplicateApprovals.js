@@ -0,0 +1,99 @@
+/**
+ * One-off repair, to run BEFORE deploying the one_approved_per_pet index:
+ * earlier versions let several applications for the same pet be
+ * Approved, and while such duplicates exist the index cannot be built, so
+ * nothing enforces a single approval. For each affected pet keep one
+ * approval and mark the others Not Selected (recorded in their history).
+ * The kept approval is, in order of preference: the pet's recorded
+ * adopter, one whose contract was accepted, the latest decidedDate.
+ * Finally builds the Application indexes so a remaining failure is loud.
+ *
+ * Usage: npm run migrate:duplicate-approvals [-- --dry-run]
+ */
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import Application from '../src/models/Application.js';
+import { APPLICATION_STATUS } from '../src/services/adoptionWorkflow.js';
+
+dotenv.config();
+
+const dryRun = process.argv.includes('--dry-run');
+
+const NOTE = 'Duplicate approval resolved by migration';
+
+// Higher ranks first: the recorded adopter, an accepted contract, the latest decision
+const rank = (application, pet) => [
+  pet && pet.adoptedBy && String(pet.adoptedBy) === String(application.userId) ? 1 : 0,
+  application.contract && application.contract.acceptedAt ? 1 : 0,
+  (application.decidedDate || application.updatedAt || new Date(0)).getTime()
+];
+
+const compareRanks = (a, b) => {
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] !== b[i]) return b[i] - a[i];
+  }
+  return 0;
+};
+
+const migrate = async () => {
+  await mongoose.connect(process.env.MONGODB_URI, { autoIndex: false });
+  console.log('✅ MongoDB connected');
+
+  // Raw collections: the documents may predate the current schema
+  const applications = mongoose.connection.collection('applications');
+  const pets = mongoose.connection.collection('pets');
+  const appointments = mongoose.connection.collection('appointments');
+
+  const duplicates = applications.aggregate([
+    { $match: { status: APPLICATION_STATUS.APPROVED } },
+    { $group: { _id: '$petId', ids: { $push: '$_id' }, count: { $sum: 1 } } },
+    { $match: { count: { $gt: 1 } } }
+  ]);
+
+  let petsFixed = 0;
+  let demoted = 0;
+
+  for await (const group of duplicates) {
+    const pet = await pets.findOne({ _id: group._id }, { projection: { adoptedBy: 1 } });
+    const approved = await applications.find({ _id: { $in: group.ids } }).toArray();
+    approved.sort((a, b) => compareRanks(rank(a, pet), rank(b, pet)));
+
+    const [kept, ...others] = approved;
+    console.log(`Pet ${group._id}: keeping ${kept._id}, marking ${others.map(app => app._id).join(', ')} Not Selected${dryRun ? ' (dry run)' : ''}`);
+
+    if (!dryRun) {
+      const now = new Date();
+      const ids = others.map(app => app._id);
+      await applications.updateMany(
+        { _id: { $in: ids }, status: APPLICATION_STATUS.APPROVED },
+        {
+          $set: { status: APPLICATION_STATUS.NOT_SELECTED, decidedDate: now },
+          $push: {
+            history: { from: APPLICATION_STATUS.APPROVED, to: APPLICATION_STATUS.NOT_SELECTED, note: NOTE, changedBy: null, changedAt: now }
+          }
+        }
+      );
+      await appointments.updateMany(
+        { applicationId: { $in: ids }, status: 'scheduled' },
+        { $set: { status: 'cancelled', cancelledAt: now, cancelReason: 'Application not selected' }, $inc: { sequence: 1 } }
+      );
+    }
+
+    petsFixed++;
+    demoted += others.length;
+  }
+
+  if (!dryRun) {
+    await Application.createIndexes();
+    console.log('✅ Application indexes built');
+  }
+
+  console.log(`Done. Pets fixed: ${petsFixed}, approvals marked Not Selected: ${demoted}${dryRun ? ' (dry run)' : ''}`);
+};
+
+migrate()
+  .catch(err => {
+    console.error('❌ Migration failed:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,30 @@
+/**
+ * Email adopters whose post-adoption check-ins are due. Safe to run
+ * repeatedly (each check-in is reminded once); schedule it daily.
+ *
+ * Usage: npm run follow-ups:remind [-- --dry-run]
+ */
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import { sendDueReminders } from '../src/services/followUps.js';
+
+dotenv.config();
+
+const dryRun = process.argv.includes('--dry-run');
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+  console.log('✅ MongoDB connected');
+
+  const sent = await sendDueReminders({ dryRun });
+  if (!dryRun) {
+    console.log(`Done. Sent ${sent} check-in reminders`);
+  }
+};
+
+run()
+  .catch(err => {
+    console.error('❌ Sending reminders failed:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -8,12 +8,25 @@ import swaggerUi from 'swagger-ui-express';
 import authRoutes from './routes/authRoutes.js';
 import petRoutes from './routes/petRoutes.js';
 import applicationRoutes from './routes/applicationRoutes.js';
+import adminRoutes from './routes/adminRoutes.js';
+import questionnaireRoutes from './routes/questionnaireRoutes.js';
+import appointmentRoutes from './routes/appointmentRoutes.js';
+import followUpRoutes from './routes/followUpRoutes.js';
+import intakeRoutes from './routes/intakeRoutes.js';
+import fosterRoutes from './routes/fosterRoutes.js';
+import medicalRoutes from './routes/medicalRoutes.js';
+import shelterRoutes from './routes/shelterRoutes.js';
 import errorHandler from './middleware/errorHandler.js';
 
 dotenv.config();
 
 const app = express();
 
+// Behind a reverse proxy, trust it so req.ip is the client (used by login throttling)
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', parseInt(process.env.TRUST_PROXY) || process.env.TRUST_PROXY);
+}
+
 // Swagger configuration
 const swaggerOptions = {
   definition: {
@@ -65,7 +78,7 @@ const swaggerOptions = {
         // ✅ UPDATED PET SCHEMA
         Pet: {
           type: 'object',
-          required: ['name', 'species', 'breed', 'age', 'description', 'photoBase64'],
+          required: ['name', 'species', 'breed', 'age', 'description'],
           properties: {
             name: { type: 'string', description: 'Pet name' },
 
@@ -125,11 +138,33 @@ const swaggerOptions = {
               }
             },
 
-            // ✅ UPDATED to base64
-            photoBase64: {
+            photos: {
+              type: 'array',
+              description: 'Gallery in display order',
+              items: {
+                type: 'object',
+                properties: {
+                  _id: { type: 'string', format: 'objectid' },
+                  url: { type: 'string', example: '/api/pets/507f1f77bcf86cd799439011/photos/507f191e810c19729de860ea' },
+                  variants: { $ref: '#/components/schemas/PhotoVariants' },
+                  width: { type: 'integer' },
+                  height: { type: 'integer' },
+                  isCover: { type: 'boolean' }
+                }
+              }
+            },
+
+            photoUrl: {
               type: 'string',
-              description: 'Base64 encoded image',
-              example: 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAA...'
+              nullable: true,
+              description: 'URL of the cover photo',
+              example: '/api/pets/507f1f77bcf86cd799439011/photos/507f191e810c19729de860ea'
+            },
+
+            photoVariants: {
+              allOf: [{ $ref: '#/components/schemas/PhotoVariants' }],
+              nullable: true,
+              description: 'Responsive variants of the cover photo'
             },
 
             description: { type: 'string' },
@@ -143,7 +178,54 @@ const swaggerOptions = {
 
             adoptionDate: { type: 'string', format: 'date-time' },
 
-            isFeatured: { type: 'boolean' }
+            isFeatured: { type: 'boolean' },
+
+            shelterId: { type: 'string', format: 'objectid', nullable: true },
+
+            location: {
+              type: 'object',
+              description: "GeoJSON Point copied from the pet's shelter ([longitude, latitude])"
+            },
+
+            distanceKm: {
+              type: 'number',
+              description: 'Distance from ?near= (GET /api/pets with near only)'
+            },
+
+            healthSummary: {
+              type: 'object',
+              nullable: true,
+              description: 'Public summary of the medical record (GET /api/pets/{id} only); null when none exists',
+              properties: {
+                spayedNeutered: { type: 'boolean', nullable: true },
+                microchipped: { type: 'boolean' },
+                vaccinations: {
+                  type: 'array',
+                  items: {
+                    type: 'object',
+                    properties: {
+                      name: { type: 'string' },
+                      lastGivenAt: { type: 'string', format: 'date-time' },
+                      upToDate: { type: 'boolean' }
+                    }
+                  }
+                },
+                vaccinationsUpToDate: { type: 'boolean', nullable: true },
+                onMedication: { type: 'boolean' },
+                latestWeightKg: { type: 'number', nullable: true },
+                lastVetVisitAt: { type: 'string', format: 'date-time', nullable: true }
+              }
+            }
+          }
+        },
+
+        PhotoVariants: {
+          type: 'object',
+          description: 'Photo URLs with ?size= selecting a responsive variant',
+          properties: {
+            thumbnail: { type: 'string', example: '/api/pets/507f1f77bcf86cd799439011/photos/507f191e810c19729de860ea?size=thumbnail' },
+            medium: { type: 'string' },
+            large: { type: 'string' }
           }
         },
 
@@ -153,10 +235,73 @@ const swaggerOptions = {
           properties: {
             petId: { type: 'string', format: 'objectid' },
             userMessage: { type: 'string' },
+            answers: {
+              type: 'object',
+              description: 'Answers to the questionnaire in force for the pet\'s species, keyed by question key',
+              additionalProperties: true
+            },
             adminNotes: { type: 'string' }
           }
         },
 
+        Questionnaire: {
+          type: 'object',
+          required: ['title', 'questions'],
+          properties: {
+            species: { type: 'string', nullable: true, description: 'Omit for the questionnaire used by every other species' },
+            title: { type: 'string' },
+            description: { type: 'string' },
+            questions: {
+              type: 'array',
+              items: {
+                type: 'object',
+                required: ['key', 'label', 'type'],
+                properties: {
+                  key: { type: 'string', example: 'housingType' },
+                  label: { type: 'string', example: 'What type of home do you live in?' },
+                  helpText: { type: 'string' },
+                  type: { type: 'string', enum: ['text', 'textarea', 'number', 'boolean', 'select', 'multiselect', 'date'] },
+                  required: { type: 'boolean' },
+                  options: { type: 'array', items: { type: 'string' } },
+                  min: { type: 'number', description: 'Minimum value, length or number of choices' },
+                  max: { type: 'number', description: 'Maximum value, length or number of choices' }
+                }
+              }
+            }
+          }
+        },
+
+        Shelter: {
+          type: 'object',
+          required: ['name', 'location'],
+          properties: {
+            name: { type: 'string' },
+            address: {
+              type: 'object',
+              properties: {
+                line1: { type: 'string' },
+                line2: { type: 'string' },
+                city: { type: 'string' },
+                region: { type: 'string' },
+                postalCode: { type: 'string' },
+                country: { type: 'string' }
+              }
+            },
+            location: {
+              type: 'object',
+              description: 'GeoJSON Point; coordinates are [longitude, latitude]',
+              properties: {
+                type: { type: 'string', enum: ['Point'] },
+                coordinates: { type: 'array', items: { type: 'number' }, minItems: 2, maxItems: 2 }
+              },
+              example: { type: 'Point', coordinates: [-122.4194, 37.7749] }
+            },
+            phone: { type: 'string' },
+            email: { type: 'string' },
+            isActive: { type: 'boolean' }
+          }
+        },
+
         Error: {
           type: 'object',
           properties: {
@@ -169,14 +314,17 @@ const swaggerOptions = {
           type: 'object',
           properties: {
             success: { type: 'boolean', example: true },
-            token: { type: 'string' },
+            token: { type: 'string', description: 'Short-lived access token' },
+            refreshToken: { type: 'string', description: 'Single-use token for POST /api/auth/refresh' },
+            expiresIn: { type: 'string', example: '15m' },
             user: {
               type: 'object',
               properties: {
                 id: { type: 'string', format: 'objectid' },
                 email: { type: 'string' },
                 name: { type: 'string' },
-                role: { type: 'string', enum: ['user', 'admin'] }
+                role: { type: 'string', enum: ['user', 'volunteer', 'vet', 'admin'] },
+                emailVerified: { type: 'boolean' }
               }
             }
           }
@@ -190,6 +338,14 @@ const swaggerOptions = {
               schema: { $ref: '#/components/schemas/Error' }
             }
           }
+        },
+        NotFoundError: {
+          description: 'Resource not found',
+          content: {
+            'application/json': {
+              schema: { $ref: '#/components/schemas/Error' }
+            }
+          }
         }
       }
     },
@@ -208,8 +364,9 @@ app.use(
   })
 );
 
-app.use(express.json({ limit: '100mb' }));
-app.use(express.urlencoded({ limit: '100mb', extended: true }));
+// Photos are uploaded as multipart and kept in storage, so JSON bodies stay small
+app.use(express.json({ limit: '1mb' }));
+app.use(express.urlencoded({ limit: '1mb', extended: true }));
 
 // Swagger UI
 app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerSpec));
@@ -224,6 +381,14 @@ mongoose
 app.use('/api/auth', authRoutes);
 app.use('/api/pets', petRoutes);
 app.use('/api/applications', applicationRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/questionnaires', questionnaireRoutes);
+app.use('/api/appointments', appointmentRoutes);
+app.use('/api/follow-ups', followUpRoutes);
+app.use('/api/intake', intakeRoutes);
+app.use('/api/fosters', fosterRoutes);
+app.use('/api/medical', medicalRoutes);
+app.use('/api/shelters', shelterRoutes);
 
 // Health check
 app.get('/api/health', (req, res) => {
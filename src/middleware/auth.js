@@ -1,9 +1,12 @@
 import jwt from 'jsonwebtoken';
+import User from '../models/User.js';
+import { isSessionActive } from '../services/tokenService.js';
+import { hasPermission } from '../utils/permissions.js';
 
 /**
- * Authentication middleware to verify JWT tokens
+ * Authentication middleware to verify JWT tokens and their session
  */
-export const authMiddleware = (req, res, next) => {
+export const authMiddleware = async (req, res, next) => {
   const authHeader = req.headers.authorization;
   
   if (!authHeader || !authHeader.startsWith('Bearer ')) {
@@ -22,10 +25,9 @@ export const authMiddleware = (req, res, next) => {
     });
   }
 
+  let decoded;
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    req.user = decoded;
-    next();
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
   } catch (err) {
     if (err.name === 'TokenExpiredError') {
       return res.status(401).json({ 
@@ -44,12 +46,64 @@ export const authMiddleware = (req, res, next) => {
       });
     }
   }
+
+  try {
+    // Logged-out or revoked sessions invalidate their access tokens too
+    if (!(await isSessionActive(decoded.sid))) {
+      return res.status(401).json({ 
+        success: false, 
+        message: 'Session has been revoked. Please log in again' 
+      });
+    }
+
+    const user = await User.findById(decoded.id).select('role isActive');
+    if (!user) {
+      return res.status(401).json({ 
+        success: false, 
+        message: 'User no longer exists' 
+      });
+    }
+    if (!user.isActive) {
+      return res.status(403).json({ 
+        success: false, 
+        message: 'Account is deactivated' 
+      });
+    }
+
+    // Role comes from the database so changes apply without a new login
+    req.user = { ...decoded, role: user.role };
+  } catch (err) {
+    return next(err);
+  }
+
+  next();
+};
+
+/**
+ * Authorization middleware: the user's role must grant every listed permission
+ */
+export const requirePermission = (...permissions) => (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({ 
+      success: false, 
+      message: 'Authentication required' 
+    });
+  }
+
+  const missing = permissions.filter(permission => !hasPermission(req.user.role, permission));
+  if (missing.length > 0) {
+    return res.status(403).json({ 
+      success: false, 
+      message: `Missing permission: ${missing.join(', ')}` 
+    });
+  }
+  next();
 };
 
 /**
- * Admin authorization middleware
+ * Authorization middleware: the user's role must grant at least one listed permission
  */
-export const adminMiddleware = (req, res, next) => {
+export const requireAnyPermission = (...permissions) => (req, res, next) => {
   if (!req.user) {
     return res.status(401).json({ 
       success: false, 
@@ -57,26 +111,56 @@ export const adminMiddleware = (req, res, next) => {
     });
   }
 
-  if (req.user.role !== 'admin') {
+  if (!permissions.some(permission => hasPermission(req.user.role, permission))) {
     return res.status(403).json({ 
       success: false, 
-      message: 'Admin access required' 
+      message: `Requires one of: ${permissions.join(', ')}` 
     });
   }
   next();
 };
 
+/**
+ * Require the authenticated user to have verified their email address
+ */
+export const requireVerifiedEmail = async (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({ 
+      success: false, 
+      message: 'Authentication required' 
+    });
+  }
+
+  try {
+    const user = await User.findById(req.user.id).select('emailVerified');
+    if (!user || !user.emailVerified) {
+      return res.status(403).json({ 
+        success: false, 
+        message: 'Please verify your email address first' 
+      });
+    }
+    next();
+  } catch (err) {
+    next(err);
+  }
+};
+
 /**
  * Optional auth middleware (doesn't fail if no token, but still verifies if provided)
  */
-export const optionalAuthMiddleware = (req, res, next) => {
+export const optionalAuthMiddleware = async (req, res, next) => {
   const authHeader = req.headers.authorization;
   
   if (authHeader && authHeader.startsWith('Bearer ')) {
     const token = authHeader.split(' ')[1];
     try {
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      req.user = decoded;
+      if (await isSessionActive(decoded.sid)) {
+        const user = await User.findById(decoded.id).select('role isActive');
+        if (user && user.isActive) {
+          req.user = { ...decoded, role: user.role };
+        }
+      }
     } catch (err) {
       // Don't fail for optional auth, just don't set user
       console.log('Optional auth token verification failed:', err.message);
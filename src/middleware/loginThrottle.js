@@ -0,0 +1,24 @@
+import { checkLoginAllowed } from '../services/loginThrottle/index.js';
+import { responseHandler } from '../utils/responseHandler.js';
+
+/**
+ * Reject login attempts for accounts or IPs that are locked out or still
+ * inside their progressive delay
+ */
+export const loginThrottle = async (req, res, next) => {
+  try {
+    const result = await checkLoginAllowed({ email: req.body.email, ip: req.ip });
+
+    if (!result.allowed) {
+      const message = result.locked
+        ? 'Too many failed login attempts. Try again later'
+        : 'Too many failed login attempts. Please wait before trying again';
+      return responseHandler.tooManyRequests(res, message, result.retryAfter);
+    }
+    next();
+  } catch (err) {
+    next(err);
+  }
+};
+
+export default loginThrottle;
@@ -0,0 +1,45 @@
+import multer from 'multer';
+import { responseHandler } from '../utils/responseHandler.js';
+
+export const MB = 1024 * 1024;
+
+/**
+ * Multer instance with memory storage; buffers are handed to the storage
+ * driver. `accept(mimetype)` decides which files are allowed and
+ * `rejectMessage` is returned for the others.
+ */
+export const createUpload = ({ accept, rejectMessage, maxFileSize }) =>
+  multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: maxFileSize },
+    fileFilter: (req, file, cb) => {
+      if (accept(file.mimetype)) {
+        cb(null, true);
+      } else {
+        cb(new Error(rejectMessage), false);
+      }
+    }
+  });
+
+/**
+ * Error middleware turning multer failures into 400 responses.
+ * `tooManyFiles` is the message for an over-limit or unexpected field.
+ */
+export const uploadErrorHandler = ({ maxFileSize, tooManyFiles }) => (err, req, res, next) => {
+  if (err instanceof multer.MulterError) {
+    if (err.code === 'LIMIT_FILE_SIZE') {
+      return responseHandler.error(res, `File size exceeds ${Math.round(maxFileSize / MB)}MB limit`, 400);
+    }
+    if (err.code === 'LIMIT_PART_COUNT') {
+      return responseHandler.error(res, 'Too many file parts', 400);
+    }
+    if (err.code === 'LIMIT_UNEXPECTED_FILE') {
+      return responseHandler.error(res, `${tooManyFiles} or unexpected field '${err.field}'`, 400);
+    }
+    return responseHandler.error(res, `Upload error: ${err.message}`, 400);
+  }
+  if (err) {
+    return responseHandler.error(res, err.message, 400);
+  }
+  next();
+};
@@ -1,5 +1,81 @@
 import mongoose from 'mongoose';
 
+export const DOCUMENT_CATEGORIES = ['proof_of_address', 'landlord_permission', 'identification', 'other'];
+
+export const MAX_DOCUMENTS = 10;
+
+// One status change in the application's timeline
+const historyEntrySchema = new mongoose.Schema(
+  {
+    from: { type: String, default: null },
+    to: { type: String, required: true },
+    note: {
+      type: String,
+      trim: true,
+      maxlength: [1000, 'Note cannot exceed 1000 characters']
+    },
+    // Null when the change was made automatically
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    changedAt: { type: Date, default: Date.now }
+  },
+  { _id: false }
+);
+
+// An answer to one questionnaire question, with the label as it was asked
+const answerSchema = new mongoose.Schema(
+  {
+    key: { type: String, required: true },
+    label: { type: String },
+    value: { type: mongoose.Schema.Types.Mixed }
+  },
+  { _id: false }
+);
+
+// An uploaded supporting document; the file itself lives in the storage driver
+const documentSchema = new mongoose.Schema(
+  {
+    key: { type: String, required: true },
+    originalName: { type: String, required: true },
+    contentType: { type: String, required: true },
+    size: { type: Number },
+    category: {
+      type: String,
+      enum: DOCUMENT_CATEGORIES,
+      default: 'other'
+    },
+    uploadedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    uploadedAt: { type: Date, default: Date.now }
+  }
+);
+
+// Generated adoption agreement and its electronic acceptance
+const contractSchema = new mongoose.Schema(
+  {
+    templateVersion: { type: String, required: true },
+    // SHA-256 of the rendered terms, shown on the PDF
+    termsHash: { type: String, required: true },
+    // The rendered terms ({ title, version, sections }) as generated
+    content: { type: mongoose.Schema.Types.Mixed, required: true },
+    key: { type: String, required: true },
+    generatedAt: { type: Date, required: true },
+    acceptedAt: { type: Date, default: null },
+    // Full name typed by the applicant as their signature
+    acceptedName: { type: String, trim: true },
+    acceptedIp: { type: String },
+    acceptedUserAgent: { type: String, maxlength: 500 },
+    // PDF including the acceptance record
+    signedKey: { type: String }
+  },
+  { _id: false }
+);
+
 const applicationSchema = new mongoose.Schema(
   {
     userId: { 
@@ -15,8 +91,8 @@ const applicationSchema = new mongoose.Schema(
     status: { 
       type: String, 
       enum: {
-        values: ['Pending', 'Approved', 'Rejected'],
-        message: 'Status must be Pending, Approved, or Rejected'
+        values: ['Pending', 'Screening', 'Interview', 'Home Visit', 'Trial Period', 'Approved', 'Rejected', 'Not Selected', 'Returned'],
+        message: 'Status must be Pending, Screening, Interview, Home Visit, Trial Period, Approved, Rejected, Not Selected, or Returned'
       }, 
       default: 'Pending' 
     },
@@ -36,12 +112,56 @@ const applicationSchema = new mongoose.Schema(
     },
     decidedDate: {
       type: Date
+    },
+    history: {
+      type: [historyEntrySchema],
+      default: []
+    },
+    // Questionnaire version in force when the application was submitted
+    questionnaire: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Questionnaire',
+      default: null
+    },
+    questionnaireVersion: {
+      type: Number
+    },
+    answers: {
+      type: [answerSchema],
+      default: []
+    },
+    contract: {
+      type: contractSchema,
+      default: null
+    },
+    documents: {
+      type: [documentSchema],
+      default: [],
+      validate: {
+        validator: documents => documents.length <= MAX_DOCUMENTS,
+        message: `An application can have at most ${MAX_DOCUMENTS} documents`
+      }
     }
   },
   { 
     timestamps: true,
     toJSON: {
       transform: function(doc, ret) {
+        // Storage keys stay server-side; documents are fetched by URL
+        if (Array.isArray(ret.documents)) {
+          ret.documents = ret.documents.map(({ key, ...document }) => ({
+            ...document,
+            url: `/api/applications/${ret._id}/documents/${document._id}`
+          }));
+        }
+        if (ret.contract) {
+          const { key, signedKey, content, ...contract } = ret.contract;
+          ret.contract = {
+            ...contract,
+            accepted: Boolean(contract.acceptedAt),
+            url: `/api/applications/${ret._id}/contract`
+          };
+        }
         delete ret.__v;
         return ret;
       }
@@ -52,11 +172,23 @@ const applicationSchema = new mongoose.Schema(
 // Compound index to prevent duplicate applications
 applicationSchema.index({ userId: 1, petId: 1 }, { unique: true });
 
+// At most one approved application per pet. Data from before this index
+// may hold duplicates, which make its build fail: run
+// `npm run migrate:duplicate-approvals` before deploying.
+applicationSchema.index(
+  { petId: 1 },
+  { unique: true, partialFilterExpression: { status: 'Approved' }, name: 'one_approved_per_pet' }
+);
+
 // Indexes for better query performance
 applicationSchema.index({ status: 1 });
-applicationSchema.index({ petId: 1 });
+// The partial index above only serves Approved lookups; this one covers
+// the workflow's per-pet queries by status
+applicationSchema.index({ petId: 1, status: 1 });
 applicationSchema.index({ userId: 1 });
 applicationSchema.index({ appliedDate: -1 });
+// Staff queue: filter by status, newest first
+applicationSchema.index({ status: 1, appliedDate: -1 });
 
 // Virtual for application duration (in days)
 applicationSchema.virtual('processingDays').get(function() {
@@ -66,4 +198,14 @@ applicationSchema.virtual('processingDays').get(function() {
   return null;
 });
 
-export default mongoose.model('Application', applicationSchema);
\ No newline at end of file
+const Application = mongoose.model('Application', applicationSchema);
+
+// autoIndex failures are only reported through this event; without it a
+// failed one_approved_per_pet build would go unnoticed
+Application.on('index', (err) => {
+  if (err) {
+    console.error('❌ Application index build failed (duplicate approvals? run npm run migrate:duplicate-approvals):', err.message);
+  }
+});
+
+export default Application;
\ No newline at end of file
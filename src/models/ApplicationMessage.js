@@ -0,0 +1,64 @@
+import mongoose from 'mongoose';
+
+export const MESSAGE_SENDERS = ['applicant', 'staff'];
+
+// One message in an application's conversation thread
+const applicationMessageSchema = new mongoose.Schema(
+  {
+    applicationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Application',
+      required: [true, 'Application ID is required']
+    },
+    authorId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Author is required']
+    },
+    // Which side of the conversation wrote it
+    sender: {
+      type: String,
+      enum: {
+        values: MESSAGE_SENDERS,
+        message: 'Sender must be applicant or staff'
+      },
+      required: true
+    },
+    body: {
+      type: String,
+      required: [true, 'Message body is required'],
+      trim: true,
+      maxlength: [5000, 'Message cannot exceed 5000 characters']
+    },
+    // Staff-only note, never shown to the applicant
+    internal: {
+      type: Boolean,
+      default: false
+    },
+    // Read receipt: when the other side first opened the thread after it was sent
+    readAt: {
+      type: Date,
+      default: null
+    },
+    readBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    }
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      transform: function(doc, ret) {
+        delete ret.__v;
+        return ret;
+      }
+    }
+  }
+);
+
+applicationMessageSchema.index({ applicationId: 1, createdAt: 1 });
+// Unread counts per application
+applicationMessageSchema.index({ applicationId: 1, sender: 1, internal: 1, readAt: 1 });
+
+export default mongoose.model('ApplicationMessage', applicationMessageSchema);
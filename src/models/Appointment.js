@@ -0,0 +1,96 @@
+import mongoose from 'mongoose';
+
+export const APPOINTMENT_STATUSES = ['scheduled', 'cancelled'];
+
+// A meet-and-greet booked by an applicant into a slot
+const appointmentSchema = new mongoose.Schema(
+  {
+    applicationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Application',
+      required: [true, 'Application ID is required']
+    },
+    petId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Pet',
+      required: [true, 'Pet ID is required']
+    },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'User ID is required']
+    },
+    slotId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'AppointmentSlot',
+      required: [true, 'Slot ID is required']
+    },
+    // Copied from the slot so the appointment survives slot clean-up
+    startsAt: {
+      type: Date,
+      required: true
+    },
+    endsAt: {
+      type: Date,
+      required: true
+    },
+    location: {
+      type: String
+    },
+    status: {
+      type: String,
+      enum: {
+        values: APPOINTMENT_STATUSES,
+        message: 'Status must be scheduled or cancelled'
+      },
+      default: 'scheduled'
+    },
+    // Bumped on every change so calendar clients replace their copy
+    sequence: {
+      type: Number,
+      default: 0
+    },
+    rescheduledAt: {
+      type: Date,
+      default: null
+    },
+    cancelledAt: {
+      type: Date,
+      default: null
+    },
+    cancelledBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    cancelReason: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Reason cannot exceed 500 characters']
+    }
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      transform: function(doc, ret) {
+        delete ret.__v;
+        return ret;
+      }
+    }
+  }
+);
+
+// A slot holds one live booking
+appointmentSchema.index(
+  { slotId: 1 },
+  { unique: true, partialFilterExpression: { status: 'scheduled' }, name: 'one_booking_per_slot' }
+);
+// One upcoming appointment per application; reschedule to change it
+appointmentSchema.index(
+  { applicationId: 1 },
+  { unique: true, partialFilterExpression: { status: 'scheduled' }, name: 'one_booking_per_application' }
+);
+appointmentSchema.index({ petId: 1, startsAt: 1 });
+appointmentSchema.index({ userId: 1, startsAt: -1 });
+
+export default mongoose.model('Appointment', appointmentSchema);
@@ -0,0 +1,56 @@
+import mongoose from 'mongoose';
+
+// A window staff have opened for a meet-and-greet; booked by at most one appointment
+const appointmentSlotSchema = new mongoose.Schema(
+  {
+    startsAt: {
+      type: Date,
+      required: [true, 'Start time is required']
+    },
+    endsAt: {
+      type: Date,
+      required: [true, 'End time is required']
+    },
+    location: {
+      type: String,
+      trim: true,
+      maxlength: [200, 'Location cannot exceed 200 characters']
+    },
+    notes: {
+      type: String,
+      trim: true,
+      maxlength: [1000, 'Notes cannot exceed 1000 characters']
+    },
+    // Restricts the slot to one pet; null means any pet
+    petId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Pet',
+      default: null
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      transform: function(doc, ret) {
+        delete ret.__v;
+        return ret;
+      }
+    }
+  }
+);
+
+appointmentSlotSchema.pre('validate', function(next) {
+  if (this.startsAt && this.endsAt && this.endsAt <= this.startsAt) {
+    this.invalidate('endsAt', 'End time must be after start time');
+  }
+  next();
+});
+
+appointmentSlotSchema.index({ startsAt: 1 });
+appointmentSlotSchema.index({ petId: 1, startsAt: 1 });
+
+export default mongoose.model('AppointmentSlot', appointmentSlotSchema);
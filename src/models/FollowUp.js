@@ -0,0 +1,117 @@
+import mongoose from 'mongoose';
+import { photoSchema } from './Pet.js';
+
+export const WELLBEING_LEVELS = ['great', 'good', 'some_concerns', 'serious_concerns'];
+
+export const ISSUE_TYPES = ['health', 'behavior', 'feeding', 'house_training', 'other_pets', 'children', 'other'];
+
+// Wellbeing answers that flag a check-in for staff attention
+export const FLAGGED_WELLBEING = ['some_concerns', 'serious_concerns'];
+
+// A post-adoption check-in the adopter is asked to fill in
+const followUpSchema = new mongoose.Schema(
+  {
+    petId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Pet',
+      required: [true, 'Pet ID is required']
+    },
+    adopterId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Adopter is required']
+    },
+    applicationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Application'
+    },
+    // Schedule entry, e.g. 1_week
+    milestone: {
+      type: String,
+      required: true
+    },
+    dueAt: {
+      type: Date,
+      required: [true, 'Due date is required']
+    },
+    status: {
+      type: String,
+      enum: {
+        values: ['scheduled', 'submitted', 'cancelled'],
+        message: 'Status must be scheduled, submitted or cancelled'
+      },
+      default: 'scheduled'
+    },
+    reminderSentAt: {
+      type: Date,
+      default: null
+    },
+    submittedAt: {
+      type: Date,
+      default: null
+    },
+    wellbeing: {
+      type: String,
+      enum: {
+        values: WELLBEING_LEVELS,
+        message: `Wellbeing must be one of: ${WELLBEING_LEVELS.join(', ')}`
+      }
+    },
+    issues: {
+      type: [{ type: String, enum: ISSUE_TYPES }],
+      default: undefined
+    },
+    notes: {
+      type: String,
+      trim: true,
+      maxlength: [3000, 'Notes cannot exceed 3000 characters']
+    },
+    photo: {
+      type: photoSchema,
+      default: null
+    },
+    // Set when the adopter reports issues or concerns
+    flagged: {
+      type: Boolean,
+      default: false
+    },
+    reviewedAt: {
+      type: Date,
+      default: null
+    },
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    staffNotes: {
+      type: String,
+      trim: true,
+      maxlength: [2000, 'Staff notes cannot exceed 2000 characters']
+    }
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      transform: function(doc, ret) {
+        if (ret.photo) {
+          const url = `/api/follow-ups/${ret._id}/photo`;
+          ret.photoUrl = url;
+          ret.photoVariants = Object.fromEntries(
+            Object.keys(ret.photo.variants || {}).map(size => [size, `${url}?size=${size}`])
+          );
+          delete ret.photo;
+        }
+        delete ret.__v;
+        return ret;
+      }
+    }
+  }
+);
+
+followUpSchema.index({ petId: 1, milestone: 1, adopterId: 1 }, { unique: true });
+followUpSchema.index({ adopterId: 1, dueAt: 1 });
+followUpSchema.index({ status: 1, dueAt: 1 });
+followUpSchema.index({ flagged: 1, reviewedAt: 1 });
+
+export default mongoose.model('FollowUp', followUpSchema);
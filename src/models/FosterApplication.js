@@ -0,0 +1,94 @@
+import mongoose from 'mongoose';
+import { SPECIES } from './Pet.js';
+
+export const FOSTER_APPLICATION_STATUSES = ['pending', 'approved', 'rejected', 'withdrawn'];
+
+export const HOUSING_TYPES = ['house', 'apartment', 'farm', 'other'];
+
+// Statuses that stop the user applying again
+export const OPEN_FOSTER_APPLICATION_STATUSES = ['pending', 'approved'];
+
+// A user's application to become a foster parent
+const fosterApplicationSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'User ID is required']
+    },
+    housingType: {
+      type: String,
+      required: [true, 'Housing type is required'],
+      enum: { values: HOUSING_TYPES, message: `Housing type must be one of: ${HOUSING_TYPES.join(', ')}` }
+    },
+    hasYard: { type: Boolean, default: false },
+    hasChildren: { type: Boolean, default: false },
+    otherPets: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Other pets cannot exceed 500 characters']
+    },
+    experience: {
+      type: String,
+      trim: true,
+      maxlength: [2000, 'Experience cannot exceed 2000 characters']
+    },
+    // Species the foster is willing to take; empty means any
+    speciesPreferences: {
+      type: [{ type: String, enum: { values: SPECIES, message: 'Invalid species preference' } }],
+      default: []
+    },
+    // How many animals they can foster at once
+    capacity: {
+      type: Number,
+      min: [1, 'Capacity must be at least 1'],
+      max: [10, 'Capacity cannot exceed 10'],
+      default: 1
+    },
+    availability: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Availability cannot exceed 500 characters']
+    },
+    status: {
+      type: String,
+      enum: {
+        values: FOSTER_APPLICATION_STATUSES,
+        message: `Status must be one of: ${FOSTER_APPLICATION_STATUSES.join(', ')}`
+      },
+      default: 'pending'
+    },
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    reviewedAt: {
+      type: Date,
+      default: null
+    },
+    reviewNotes: {
+      type: String,
+      trim: true,
+      maxlength: [1000, 'Review notes cannot exceed 1000 characters']
+    }
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      transform: function(doc, ret) {
+        delete ret.__v;
+        return ret;
+      }
+    }
+  }
+);
+
+// One pending or approved application per user
+fosterApplicationSchema.index(
+  { userId: 1 },
+  { unique: true, partialFilterExpression: { status: { $in: OPEN_FOSTER_APPLICATION_STATUSES } }, name: 'one_open_foster_application_per_user' }
+);
+fosterApplicationSchema.index({ status: 1, createdAt: 1 });
+
+export default mongoose.model('FosterApplication', fosterApplicationSchema);
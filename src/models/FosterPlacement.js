@@ -0,0 +1,133 @@
+import mongoose from 'mongoose';
+
+export const PLACEMENT_STATUSES = ['active', 'ended'];
+
+export const PLACEMENT_END_REASONS = ['completed', 'transferred', 'foster_request', 'health', 'behavior', 'other'];
+
+// A progress note on a placement from the foster or staff
+const placementUpdateSchema = new mongoose.Schema(
+  {
+    authorId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    note: {
+      type: String,
+      required: [true, 'Note is required'],
+      trim: true,
+      maxlength: [2000, 'Note cannot exceed 2000 characters']
+    },
+    weightKg: {
+      type: Number,
+      min: [0, 'Weight cannot be negative']
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }
+);
+
+// A pet living with a foster parent for a period
+const fosterPlacementSchema = new mongoose.Schema(
+  {
+    petId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Pet',
+      required: [true, 'Pet ID is required']
+    },
+    fosterId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Foster is required']
+    },
+    startDate: {
+      type: Date,
+      required: [true, 'Start date is required']
+    },
+    expectedEndDate: {
+      type: Date,
+      default: null
+    },
+    endDate: {
+      type: Date,
+      default: null
+    },
+    status: {
+      type: String,
+      enum: {
+        values: PLACEMENT_STATUSES,
+        message: 'Status must be active or ended'
+      },
+      default: 'active'
+    },
+    notes: {
+      type: String,
+      trim: true,
+      maxlength: [1000, 'Notes cannot exceed 1000 characters']
+    },
+    updates: {
+      type: [placementUpdateSchema],
+      default: []
+    },
+    endReason: {
+      type: String,
+      enum: {
+        values: PLACEMENT_END_REASONS,
+        message: `End reason must be one of: ${PLACEMENT_END_REASONS.join(', ')}`
+      }
+    },
+    endNotes: {
+      type: String,
+      trim: true,
+      maxlength: [1000, 'End notes cannot exceed 1000 characters']
+    },
+    endedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    // Links between the two halves of a transfer
+    transferredFrom: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'FosterPlacement',
+      default: null
+    },
+    transferredTo: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'FosterPlacement',
+      default: null
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      transform: function(doc, ret) {
+        delete ret.__v;
+        return ret;
+      }
+    }
+  }
+);
+
+fosterPlacementSchema.pre('validate', function(next) {
+  if (this.expectedEndDate && this.startDate && this.expectedEndDate <= this.startDate) {
+    this.invalidate('expectedEndDate', 'Expected end date must be after the start date');
+  }
+  next();
+});
+
+// A pet is with at most one foster at a time
+fosterPlacementSchema.index(
+  { petId: 1 },
+  { unique: true, partialFilterExpression: { status: 'active' }, name: 'one_active_placement_per_pet' }
+);
+fosterPlacementSchema.index({ fosterId: 1, status: 1 });
+fosterPlacementSchema.index({ status: 1, expectedEndDate: 1 });
+
+export default mongoose.model('FosterPlacement', fosterPlacementSchema);
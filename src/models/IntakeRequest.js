@@ -0,0 +1,170 @@
+import mongoose from 'mongoose';
+import { SPECIES } from './Pet.js';
+
+export const INTAKE_TYPES = ['return', 'surrender'];
+
+export const INTAKE_STATUSES = ['submitted', 'accepted', 'declined', 'withdrawn'];
+
+export const INTAKE_REASONS = [
+  'moving', 'housing_restrictions', 'allergies', 'behavior', 'cost', 'health',
+  'time', 'new_baby', 'other_pets', 'owner_health', 'other'
+];
+
+// The animal as described by a member of the public surrendering it
+const petDetailsSchema = new mongoose.Schema(
+  {
+    name: { type: String, trim: true, maxlength: [50, 'Pet name cannot exceed 50 characters'] },
+    species: {
+      type: String,
+      enum: { values: SPECIES, message: `Species must be one of: ${SPECIES.join(', ')}` }
+    },
+    breed: { type: String, trim: true, maxlength: [50, 'Breed cannot exceed 50 characters'] },
+    age: {
+      type: String,
+      enum: { values: ['baby', 'young', 'adult', 'senior'], message: 'Age must be baby, young, adult, or senior' }
+    },
+    size: {
+      type: String,
+      enum: { values: ['small', 'medium', 'large', 'extra_large'], message: 'Size must be small, medium, large, or extra_large' }
+    },
+    gender: {
+      type: String,
+      enum: { values: ['male', 'female', 'unknown'], message: 'Gender must be male, female, or unknown' }
+    },
+    description: { type: String, trim: true, maxlength: [1000, 'Description cannot exceed 1000 characters'] },
+    temperament: [{
+      type: String,
+      enum: {
+        values: ['calm', 'playful', 'shy', 'energetic', 'independent', 'affectionate', 'protective', 'social'],
+        message: 'Invalid temperament value'
+      }
+    }]
+  },
+  { _id: false }
+);
+
+// Life with the previous owner
+const backgroundSchema = new mongoose.Schema(
+  {
+    ownedSince: { type: Date },
+    livedWithChildren: { type: Boolean },
+    livedWithDogs: { type: Boolean },
+    livedWithCats: { type: Boolean },
+    houseTrained: { type: Boolean },
+    biteHistory: { type: Boolean },
+    notes: { type: String, trim: true, maxlength: [2000, 'Background notes cannot exceed 2000 characters'] }
+  },
+  { _id: false }
+);
+
+const healthSchema = new mongoose.Schema(
+  {
+    vaccinated: { type: Boolean },
+    spayedNeutered: { type: Boolean },
+    microchipped: { type: Boolean },
+    conditions: { type: String, trim: true, maxlength: [1000, 'Conditions cannot exceed 1000 characters'] },
+    medications: { type: String, trim: true, maxlength: [1000, 'Medications cannot exceed 1000 characters'] },
+    vetName: { type: String, trim: true, maxlength: [200, 'Vet name cannot exceed 200 characters'] }
+  },
+  { _id: false }
+);
+
+/**
+ * A request to bring a pet into the shelter: an adopter returning a pet
+ * adopted here, or a member of the public surrendering one
+ */
+const intakeRequestSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      required: [true, 'Type is required'],
+      enum: { values: INTAKE_TYPES, message: 'Type must be return or surrender' }
+    },
+    submittedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Submitter is required']
+    },
+    // Returns: the adopted pet. Surrenders: the pet created on acceptance.
+    petId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Pet',
+      default: null
+    },
+    petDetails: {
+      type: petDetailsSchema,
+      default: undefined
+    },
+    reason: {
+      type: String,
+      required: [true, 'Reason is required'],
+      enum: { values: INTAKE_REASONS, message: `Reason must be one of: ${INTAKE_REASONS.join(', ')}` }
+    },
+    reasonDetails: {
+      type: String,
+      trim: true,
+      maxlength: [2000, 'Reason details cannot exceed 2000 characters']
+    },
+    background: {
+      type: backgroundSchema,
+      default: undefined
+    },
+    health: {
+      type: healthSchema,
+      default: undefined
+    },
+    status: {
+      type: String,
+      enum: { values: INTAKE_STATUSES, message: `Status must be one of: ${INTAKE_STATUSES.join(', ')}` },
+      default: 'submitted'
+    },
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    reviewedAt: {
+      type: Date,
+      default: null
+    },
+    reviewNotes: {
+      type: String,
+      trim: true,
+      maxlength: [2000, 'Review notes cannot exceed 2000 characters']
+    }
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      transform: function(doc, ret) {
+        delete ret.__v;
+        return ret;
+      }
+    }
+  }
+);
+
+intakeRequestSchema.pre('validate', function(next) {
+  if (this.type === 'return' && !this.petId) {
+    this.invalidate('petId', 'A return must name the adopted pet');
+  }
+  if (this.type === 'surrender' && this.isNew) {
+    const details = this.petDetails || {};
+    for (const field of ['name', 'species', 'age', 'description']) {
+      if (!details[field]) {
+        this.invalidate(`petDetails.${field}`, `petDetails.${field} is required`);
+      }
+    }
+  }
+  next();
+});
+
+// One open return per pet
+intakeRequestSchema.index(
+  { petId: 1 },
+  { unique: true, partialFilterExpression: { type: 'return', status: 'submitted' }, name: 'one_open_return_per_pet' }
+);
+intakeRequestSchema.index({ status: 1, createdAt: -1 });
+intakeRequestSchema.index({ submittedBy: 1, createdAt: -1 });
+
+export default mongoose.model('IntakeRequest', intakeRequestSchema);
@@ -0,0 +1,43 @@
+import mongoose from 'mongoose';
+
+// Failed-login counter used by the database-backed login throttle store
+const loginAttemptSchema = new mongoose.Schema(
+  {
+    // e.g. account:user@example.com or ip:203.0.113.7
+    key: {
+      type: String,
+      required: [true, 'Key is required'],
+      unique: true
+    },
+    failures: {
+      type: Number,
+      default: 0
+    },
+    lastFailureAt: {
+      type: Date,
+      default: null
+    },
+    lockedUntil: {
+      type: Date,
+      default: null
+    },
+    expiresAt: {
+      type: Date,
+      required: [true, 'Expiry is required']
+    }
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      transform: function(doc, ret) {
+        delete ret.__v;
+        return ret;
+      }
+    }
+  }
+);
+
+// Stale counters are removed by MongoDB
+loginAttemptSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model('LoginAttempt', loginAttemptSchema);
@@ -0,0 +1,208 @@
+import mongoose from 'mongoose';
+
+export const STERILIZATION_STATUSES = ['unknown', 'intact', 'spayed', 'neutered'];
+
+const recordedBy = {
+  type: mongoose.Schema.Types.ObjectId,
+  ref: 'User'
+};
+
+const vaccinationSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Vaccine name is required'],
+      trim: true,
+      maxlength: [100, 'Vaccine name cannot exceed 100 characters']
+    },
+    administeredAt: {
+      type: Date,
+      required: [true, 'Administration date is required']
+    },
+    // When the next dose or booster is due; null for one-off vaccines
+    nextDueAt: {
+      type: Date,
+      default: null
+    },
+    batchNumber: {
+      type: String,
+      trim: true,
+      maxlength: [50, 'Batch number cannot exceed 50 characters']
+    },
+    administeredBy: {
+      type: String,
+      trim: true,
+      maxlength: [100, 'Administered by cannot exceed 100 characters']
+    },
+    recordedBy
+  },
+  { timestamps: true }
+);
+
+vaccinationSchema.pre('validate', function(next) {
+  if (this.nextDueAt && this.administeredAt && this.nextDueAt <= this.administeredAt) {
+    this.invalidate('nextDueAt', 'Next due date must be after the administration date');
+  }
+  next();
+});
+
+const medicationSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Medication name is required'],
+      trim: true,
+      maxlength: [100, 'Medication name cannot exceed 100 characters']
+    },
+    dosage: {
+      type: String,
+      trim: true,
+      maxlength: [100, 'Dosage cannot exceed 100 characters']
+    },
+    frequency: {
+      type: String,
+      trim: true,
+      maxlength: [100, 'Frequency cannot exceed 100 characters']
+    },
+    startDate: {
+      type: Date,
+      required: [true, 'Start date is required']
+    },
+    // null while the course is ongoing
+    endDate: {
+      type: Date,
+      default: null
+    },
+    notes: {
+      type: String,
+      trim: true,
+      maxlength: [1000, 'Notes cannot exceed 1000 characters']
+    },
+    recordedBy
+  },
+  { timestamps: true }
+);
+
+const weightSchema = new mongoose.Schema(
+  {
+    weightKg: {
+      type: Number,
+      required: [true, 'Weight is required'],
+      min: [0.01, 'Weight must be positive'],
+      max: [200, 'Weight cannot exceed 200 kg']
+    },
+    measuredAt: {
+      type: Date,
+      required: [true, 'Measurement date is required']
+    },
+    recordedBy
+  },
+  { timestamps: true }
+);
+
+const visitSchema = new mongoose.Schema(
+  {
+    date: {
+      type: Date,
+      required: [true, 'Visit date is required']
+    },
+    vetName: {
+      type: String,
+      trim: true,
+      maxlength: [100, 'Vet name cannot exceed 100 characters']
+    },
+    reason: {
+      type: String,
+      required: [true, 'Visit reason is required'],
+      trim: true,
+      maxlength: [200, 'Reason cannot exceed 200 characters']
+    },
+    diagnosis: {
+      type: String,
+      trim: true,
+      maxlength: [1000, 'Diagnosis cannot exceed 1000 characters']
+    },
+    notes: {
+      type: String,
+      trim: true,
+      maxlength: [3000, 'Notes cannot exceed 3000 characters']
+    },
+    recordedBy
+  },
+  { timestamps: true }
+);
+
+/**
+ * A pet's medical history, one per pet. Only vets (pets:health) edit it;
+ * the public sees the summary from healthSummary() in GET /api/pets/:id.
+ */
+const medicalRecordSchema = new mongoose.Schema(
+  {
+    petId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Pet',
+      required: [true, 'Pet ID is required'],
+      unique: true
+    },
+    sterilization: {
+      type: String,
+      enum: {
+        values: STERILIZATION_STATUSES,
+        message: `Sterilization must be one of: ${STERILIZATION_STATUSES.join(', ')}`
+      },
+      default: 'unknown'
+    },
+    sterilizedAt: {
+      type: Date,
+      default: null
+    },
+    microchip: {
+      number: {
+        type: String,
+        trim: true,
+        match: [/^[0-9A-Za-z]{9,15}$/, 'Microchip number must be 9-15 letters or digits']
+      },
+      implantedAt: { type: Date },
+      registry: {
+        type: String,
+        trim: true,
+        maxlength: [100, 'Registry cannot exceed 100 characters']
+      }
+    },
+    allergies: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Allergies cannot exceed 500 characters']
+    },
+    vaccinations: {
+      type: [vaccinationSchema],
+      default: []
+    },
+    medications: {
+      type: [medicationSchema],
+      default: []
+    },
+    weights: {
+      type: [weightSchema],
+      default: []
+    },
+    visits: {
+      type: [visitSchema],
+      default: []
+    }
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      transform: function(doc, ret) {
+        delete ret.__v;
+        return ret;
+      }
+    }
+  }
+);
+
+// Vaccinations-due report
+medicalRecordSchema.index({ 'vaccinations.nextDueAt': 1 });
+
+export default mongoose.model('MedicalRecord', medicalRecordSchema);
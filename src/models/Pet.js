@@ -1,4 +1,63 @@
 import mongoose from 'mongoose';
+import { pointSchema } from './Shelter.js';
+
+export const MAX_PHOTOS = 10;
+
+export const PHOTO_SIZES = ['thumbnail', 'medium', 'large'];
+
+export const SPECIES = ['dog', 'cat', 'bird', 'rabbit', 'hamster', 'guinea_pig', 'fish', 'reptile', 'other'];
+
+// A stored rendition of a photo
+const imageSchema = new mongoose.Schema(
+  {
+    key: { type: String, required: true },
+    contentType: { type: String },
+    size: { type: Number },
+    width: { type: Number },
+    height: { type: Number }
+  },
+  { _id: false }
+);
+
+// Photo metadata; the images themselves live in the storage driver
+export const photoSchema = new mongoose.Schema(
+  {
+    key: { type: String, required: true },
+    contentType: { type: String },
+    size: { type: Number },
+    width: { type: Number },
+    height: { type: Number },
+    variants: {
+      thumbnail: imageSchema,
+      medium: imageSchema,
+      large: imageSchema
+    },
+    uploadedAt: { type: Date, default: Date.now }
+  }
+);
+
+// A past adoption that ended with the pet being returned
+const adoptionRecordSchema = new mongoose.Schema(
+  {
+    adopterId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    applicationId: { type: mongoose.Schema.Types.ObjectId, ref: 'Application' },
+    adoptedAt: { type: Date },
+    returnedAt: { type: Date, required: true },
+    returnReason: { type: String },
+    intakeRequestId: { type: mongoose.Schema.Types.ObjectId, ref: 'IntakeRequest' }
+  },
+  { _id: false }
+);
+
+// URLs for the full-size photo and each responsive variant
+const photoUrls = (petId, photo) => {
+  const url = `/api/pets/${petId}/photos/${photo._id}`;
+  const variants = {};
+  for (const size of PHOTO_SIZES) {
+    variants[size] = `${url}?size=${size}`;
+  }
+  return { url, variants };
+};
 
 const petSchema = new mongoose.Schema(
   {
@@ -13,7 +72,7 @@ const petSchema = new mongoose.Schema(
       type: String, 
       required: [true, 'Species is required'],
       enum: {
-        values: ['dog', 'cat', 'bird', 'rabbit', 'hamster', 'guinea_pig', 'fish', 'reptile', 'other'],
+        values: SPECIES,
         message: 'Species must be dog, cat, bird, rabbit, hamster, guinea_pig, fish, reptile, or other'
       }
     },
@@ -68,18 +127,23 @@ const petSchema = new mongoose.Schema(
       }
     }],
 
-    // ✅ Base64 photo field
-    photoBase64: {
-      type: String,
-      required: [true, 'Pet photo is required'],
+    // Gallery in display order
+    photos: {
+      type: [photoSchema],
       validate: {
         validator: function(v) {
-          return v && v.startsWith('data:image/');
+          return v.length <= MAX_PHOTOS;
         },
-        message: 'Photo must be a valid base64 data URL'
+        message: `A pet cannot have more than ${MAX_PHOTOS} photos`
       }
     },
 
+    // Photo shown on cards; falls back to the first photo when unset
+    coverPhotoId: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null
+    },
+
     description: { 
       type: String, 
       required: [true, 'Description is required'],
@@ -107,6 +171,33 @@ const petSchema = new mongoose.Schema(
       default: null
     },
 
+    // Earlier adoptions, oldest first; staff-only (see GET /api/pets/:id/adoption-history)
+    adoptionHistory: {
+      type: [adoptionRecordSchema],
+      default: []
+    },
+
+    // Surrender request the pet arrived through, if any
+    intakeRequestId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'IntakeRequest',
+      default: null
+    },
+
+    // Shelter the pet is housed at
+    shelterId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Shelter',
+      default: null
+    },
+
+    // Copy of the shelter's location for ?near= searches; kept in step by
+    // services/shelters.js, never set directly
+    location: {
+      type: pointSchema,
+      default: undefined
+    },
+
     isFeatured: {
       type: Boolean,
       default: false
@@ -116,6 +207,19 @@ const petSchema = new mongoose.Schema(
     timestamps: true,
     toJSON: {
       transform: function(doc, ret) {
+        const cover = doc.getCoverPhoto();
+        ret.photos = (ret.photos || []).map(photo => ({
+          _id: photo._id,
+          ...photoUrls(ret._id, photo),
+          width: photo.width,
+          height: photo.height,
+          isCover: Boolean(cover && String(cover._id) === String(photo._id))
+        }));
+
+        const coverUrls = cover ? photoUrls(ret._id, cover) : null;
+        ret.photoUrl = coverUrls ? coverUrls.url : null;
+        ret.photoVariants = coverUrls ? coverUrls.variants : null;
+        delete ret.adoptionHistory;
         delete ret.__v;
         return ret;
       }
@@ -123,6 +227,12 @@ const petSchema = new mongoose.Schema(
   }
 );
 
+// Cover photo, or the first photo if no cover has been chosen
+petSchema.methods.getCoverPhoto = function() {
+  if (!this.photos || this.photos.length === 0) return null;
+  return (this.coverPhotoId && this.photos.id(this.coverPhotoId)) || this.photos[0];
+};
+
 // Indexes
 petSchema.index({ status: 1 });
 petSchema.index({ species: 1 });
@@ -130,5 +240,12 @@ petSchema.index({ breed: 1 });
 petSchema.index({ isFeatured: 1 });
 petSchema.index({ adoptedBy: 1 });
 petSchema.index({ createdAt: -1 });
+petSchema.index({ location: '2dsphere' });
+
+// Relevance-ranked search (services/petSearch.js keeps the same weights)
+petSchema.index(
+  { name: 'text', breed: 'text', description: 'text' },
+  { weights: { name: 10, breed: 5, description: 1 }, name: 'pet_text_search' }
+);
 
 export default mongoose.model('Pet', petSchema);
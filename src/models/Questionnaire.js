@@ -0,0 +1,134 @@
+import mongoose from 'mongoose';
+import { SPECIES } from './Pet.js';
+
+export const QUESTION_TYPES = ['text', 'textarea', 'number', 'boolean', 'select', 'multiselect', 'date'];
+
+// Types whose answers must come from `options`
+export const CHOICE_TYPES = ['select', 'multiselect'];
+
+const questionSchema = new mongoose.Schema(
+  {
+    // Stable identifier answers are stored under, e.g. housingType
+    key: {
+      type: String,
+      required: [true, 'Question key is required'],
+      trim: true,
+      match: [/^[a-zA-Z][a-zA-Z0-9_]{0,49}$/, 'Question key must start with a letter and contain only letters, digits and underscores']
+    },
+    label: {
+      type: String,
+      required: [true, 'Question label is required'],
+      trim: true,
+      maxlength: [300, 'Question label cannot exceed 300 characters']
+    },
+    helpText: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Help text cannot exceed 500 characters']
+    },
+    type: {
+      type: String,
+      required: [true, 'Question type is required'],
+      enum: {
+        values: QUESTION_TYPES,
+        message: `Question type must be one of: ${QUESTION_TYPES.join(', ')}`
+      }
+    },
+    required: {
+      type: Boolean,
+      default: false
+    },
+    options: {
+      type: [{ type: String, trim: true }],
+      default: undefined
+    },
+    // Bounds: value for numbers, length for text
+    min: { type: Number },
+    max: { type: Number }
+  },
+  { _id: false }
+);
+
+/**
+ * A published version of the adoption questionnaire. Versions are never
+ * edited: publishing changes creates the next version, so every
+ * application keeps pointing at the exact questions its applicant saw.
+ */
+const questionnaireSchema = new mongoose.Schema(
+  {
+    // Null applies to every species without a questionnaire of its own
+    species: {
+      type: String,
+      enum: {
+        values: [...SPECIES, null],
+        message: `Species must be one of: ${SPECIES.join(', ')}`
+      },
+      default: null
+    },
+    version: {
+      type: Number,
+      required: [true, 'Version is required'],
+      min: 1
+    },
+    title: {
+      type: String,
+      required: [true, 'Title is required'],
+      trim: true,
+      maxlength: [200, 'Title cannot exceed 200 characters']
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [2000, 'Description cannot exceed 2000 characters']
+    },
+    questions: {
+      type: [questionSchema],
+      validate: [
+        {
+          validator: questions => questions.length > 0 && questions.length <= 50,
+          message: 'A questionnaire needs between 1 and 50 questions'
+        },
+        {
+          validator: questions => new Set(questions.map(q => q.key)).size === questions.length,
+          message: 'Question keys must be unique'
+        },
+        {
+          validator: questions => questions.every(q =>
+            !CHOICE_TYPES.includes(q.type) || (Array.isArray(q.options) && q.options.length > 0)
+          ),
+          message: 'Select and multiselect questions need options'
+        }
+      ]
+    },
+    // The version applicants currently answer; at most one per species
+    isCurrent: {
+      type: Boolean,
+      default: true
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    retiredAt: {
+      type: Date,
+      default: null
+    }
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      transform: function(doc, ret) {
+        delete ret.__v;
+        return ret;
+      }
+    }
+  }
+);
+
+questionnaireSchema.index({ species: 1, version: 1 }, { unique: true });
+questionnaireSchema.index(
+  { species: 1 },
+  { unique: true, partialFilterExpression: { isCurrent: true }, name: 'one_current_per_species' }
+);
+
+export default mongoose.model('Questionnaire', questionnaireSchema);
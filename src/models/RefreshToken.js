@@ -0,0 +1,64 @@
+import mongoose from 'mongoose';
+
+const refreshTokenSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'User ID is required']
+    },
+    // SHA-256 of the token; the raw value is only ever held by the client
+    tokenHash: {
+      type: String,
+      required: [true, 'Token hash is required'],
+      unique: true
+    },
+    // Every token issued from one login shares a family (the session ID)
+    family: {
+      type: String,
+      required: [true, 'Token family is required']
+    },
+    expiresAt: {
+      type: Date,
+      required: [true, 'Expiry is required']
+    },
+    // Set when the token is exchanged for a new one
+    rotatedAt: {
+      type: Date,
+      default: null
+    },
+    revokedAt: {
+      type: Date,
+      default: null
+    },
+    revokedReason: {
+      type: String,
+      enum: ['logout', 'logout_all', 'reuse_detected', 'password_reset', 'password_change', 'account_deactivated'],
+      default: null
+    },
+    createdByIp: {
+      type: String
+    },
+    userAgent: {
+      type: String,
+      maxlength: 500
+    }
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      transform: function(doc, ret) {
+        delete ret.tokenHash;
+        delete ret.__v;
+        return ret;
+      }
+    }
+  }
+);
+
+// Expired tokens are removed by MongoDB
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+refreshTokenSchema.index({ family: 1 });
+refreshTokenSchema.index({ userId: 1 });
+
+export default mongoose.model('RefreshToken', refreshTokenSchema);
@@ -0,0 +1,89 @@
+import mongoose from 'mongoose';
+
+/**
+ * GeoJSON Point. Coordinates are [longitude, latitude], in that order.
+ */
+export const pointSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      enum: ['Point'],
+      default: 'Point'
+    },
+    coordinates: {
+      type: [Number],
+      required: [true, 'Coordinates are required'],
+      validate: {
+        validator: function(v) {
+          return v.length === 2
+            && v[0] >= -180 && v[0] <= 180
+            && v[1] >= -90 && v[1] <= 90;
+        },
+        message: 'Coordinates must be [longitude, latitude] with longitude -180..180 and latitude -90..90'
+      }
+    }
+  },
+  { _id: false }
+);
+
+const addressSchema = new mongoose.Schema(
+  {
+    line1: { type: String, trim: true, maxlength: [200, 'Address line cannot exceed 200 characters'] },
+    line2: { type: String, trim: true, maxlength: [200, 'Address line cannot exceed 200 characters'] },
+    city: { type: String, trim: true, maxlength: [100, 'City cannot exceed 100 characters'] },
+    region: { type: String, trim: true, maxlength: [100, 'Region cannot exceed 100 characters'] },
+    postalCode: { type: String, trim: true, maxlength: [20, 'Postal code cannot exceed 20 characters'] },
+    country: { type: String, trim: true, maxlength: [100, 'Country cannot exceed 100 characters'] }
+  },
+  { _id: false }
+);
+
+// A shelter site pets are housed at
+const shelterSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Shelter name is required'],
+      unique: true,
+      trim: true,
+      maxlength: [100, 'Shelter name cannot exceed 100 characters']
+    },
+    address: {
+      type: addressSchema,
+      default: () => ({})
+    },
+    location: {
+      type: pointSchema,
+      required: [true, 'Location is required']
+    },
+    phone: {
+      type: String,
+      trim: true,
+      maxlength: [30, 'Phone cannot exceed 30 characters']
+    },
+    email: {
+      type: String,
+      trim: true,
+      lowercase: true,
+      maxlength: [100, 'Email cannot exceed 100 characters']
+    },
+    // Inactive shelters are hidden from the public list
+    isActive: {
+      type: Boolean,
+      default: true
+    }
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      transform: function(doc, ret) {
+        delete ret.__v;
+        return ret;
+      }
+    }
+  }
+);
+
+shelterSchema.index({ location: '2dsphere' });
+
+export default mongoose.model('Shelter', shelterSchema);
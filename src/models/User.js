@@ -1,5 +1,6 @@
 import mongoose from 'mongoose';
 import validator from 'validator';
+import { ROLES } from '../utils/permissions.js';
 
 const userSchema = new mongoose.Schema(
   {
@@ -41,14 +42,53 @@ const userSchema = new mongoose.Schema(
     role: { 
       type: String, 
       enum: {
-        values: ['user', 'admin'],
-        message: 'Role must be either user or admin'
+        values: ROLES,
+        message: `Role must be one of: ${ROLES.join(', ')}`
       }, 
       default: 'user' 
     },
     isActive: {
       type: Boolean,
       default: true
+    },
+    deactivatedAt: {
+      type: Date,
+      default: null
+    },
+    deactivatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    emailVerified: {
+      type: Boolean,
+      default: false
+    },
+    emailVerifiedAt: {
+      type: Date,
+      default: null
+    },
+    // Hash of the outstanding verification token, cleared once used
+    emailVerificationTokenHash: {
+      type: String,
+      select: false
+    },
+    emailVerificationExpires: {
+      type: Date,
+      select: false
+    },
+    emailVerificationSentAt: {
+      type: Date,
+      select: false
+    },
+    // Hash of the outstanding password reset token, cleared once used
+    passwordResetTokenHash: {
+      type: String,
+      select: false
+    },
+    passwordResetExpires: {
+      type: Date,
+      select: false
     }
   },
   { 
@@ -56,6 +96,11 @@ const userSchema = new mongoose.Schema(
     toJSON: {
       transform: function(doc, ret) {
         delete ret.passwordHash;
+        delete ret.passwordResetTokenHash;
+        delete ret.passwordResetExpires;
+        delete ret.emailVerificationTokenHash;
+        delete ret.emailVerificationExpires;
+        delete ret.emailVerificationSentAt;
         delete ret.__v;
         return ret;
       }
@@ -67,5 +112,7 @@ const userSchema = new mongoose.Schema(
 userSchema.index({ email: 1 });
 userSchema.index({ role: 1 });
 userSchema.index({ isActive: 1 });
+userSchema.index({ passwordResetTokenHash: 1 }, { sparse: true });
+userSchema.index({ emailVerificationTokenHash: 1 }, { sparse: true });
 
 export default mongoose.model('User', userSchema);
\ No newline at end of file
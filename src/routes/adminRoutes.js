@@ -0,0 +1,358 @@
+import express from 'express';
+import User from '../models/User.js';
+import { authMiddleware, requirePermission } from '../middleware/auth.js';
+import { PERMISSIONS, ROLES } from '../utils/permissions.js';
+import { responseHandler } from '../utils/responseHandler.js';
+import { validationUtils } from '../utils/validation.js';
+import { revokeAllSessions } from '../services/tokenService.js';
+import { unlockAccount, getAccountLockStatus } from '../services/loginThrottle/index.js';
+
+const router = express.Router();
+
+const SORT_OPTIONS = {
+  newest: { createdAt: -1 },
+  oldest: { createdAt: 1 },
+  name: { name: 1 },
+  email: { email: 1 }
+};
+
+// Every route here requires users:manage
+router.use(authMiddleware, requirePermission(PERMISSIONS.USERS_MANAGE));
+
+// Load the target user for the :id routes, answering 400/404 itself
+const findTargetUser = async (req, res) => {
+  if (!validationUtils.validateObjectId(req.params.id)) {
+    responseHandler.error(res, 'Invalid user ID format', 400);
+    return null;
+  }
+
+  const user = await User.findById(req.params.id);
+  if (!user) {
+    responseHandler.notFound(res, 'User');
+    return null;
+  }
+  return user;
+};
+
+/**
+ * @swagger
+ * tags:
+ *   name: Admin
+ *   description: User management (requires users:manage)
+ */
+
+/**
+ * @swagger
+ * /api/admin/users:
+ *   get:
+ *     summary: List users with filters and pagination (requires users:manage)
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Matches name or email
+ *       - in: query
+ *         name: role
+ *         schema:
+ *           type: string
+ *           enum: [user, volunteer, vet, admin]
+ *       - in: query
+ *         name: isActive
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: emailVerified
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [newest, oldest, name, email]
+ *           default: newest
+ *     responses:
+ *       200:
+ *         description: Users retrieved successfully
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         description: Missing permission
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/users', async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+    const filter = {};
+
+    if (req.query.search) {
+      const pattern = new RegExp(validationUtils.escapeRegex(String(req.query.search).slice(0, 100)), 'i');
+      filter.$or = [{ name: pattern }, { email: pattern }];
+    }
+    if (req.query.role) {
+      filter.role = String(req.query.role);
+    }
+    if (req.query.isActive !== undefined) {
+      filter.isActive = req.query.isActive === 'true';
+    }
+    if (req.query.emailVerified !== undefined) {
+      filter.emailVerified = req.query.emailVerified === 'true';
+    }
+
+    const sort = SORT_OPTIONS[req.query.sort] || SORT_OPTIONS.newest;
+    const skip = (page - 1) * limit;
+
+    const [users, total] = await Promise.all([
+      User.find(filter).sort(sort).skip(skip).limit(limit),
+      User.countDocuments(filter)
+    ]);
+
+    return res.json({
+      success: true,
+      data: users,
+      currentPage: page,
+      totalPages: Math.ceil(total / limit),
+      totalUsers: total,
+    });
+  } catch (err) {
+    console.error('Error fetching users:', err);
+    return responseHandler.error(res, err.message);
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/users/{id}:
+ *   get:
+ *     summary: Get a single user, including failed-login lock status (requires users:manage)
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: User retrieved successfully
+ *       400:
+ *         description: Invalid user ID
+ *       404:
+ *         description: User not found
+ */
+router.get('/users/:id', async (req, res) => {
+  try {
+    const user = await findTargetUser(req, res);
+    if (!user) return;
+
+    const loginLock = await getAccountLockStatus(user.email);
+
+    return responseHandler.success(res, { ...user.toJSON(), loginLock }, 'User retrieved successfully');
+  } catch (err) {
+    console.error('Error fetching user:', err);
+    return responseHandler.error(res, err.message);
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/users/{id}/role:
+ *   patch:
+ *     summary: Change a user's role (requires users:manage)
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [role]
+ *             properties:
+ *               role:
+ *                 type: string
+ *                 enum: [user, volunteer, vet, admin]
+ *     responses:
+ *       200:
+ *         description: Role updated
+ *       400:
+ *         description: Invalid role, or attempt to change your own role
+ *       404:
+ *         description: User not found
+ */
+router.patch('/users/:id/role', async (req, res) => {
+  try {
+    const { role } = req.body;
+    if (!ROLES.includes(role)) {
+      return responseHandler.error(res, `Role must be one of: ${ROLES.join(', ')}`, 400);
+    }
+
+    const user = await findTargetUser(req, res);
+    if (!user) return;
+
+    if (String(user._id) === String(req.user.id)) {
+      return responseHandler.error(res, 'You cannot change your own role', 400);
+    }
+
+    user.role = role;
+    await user.save();
+
+    return responseHandler.success(res, user, 'Role updated successfully');
+  } catch (err) {
+    console.error('Error updating role:', err);
+    return responseHandler.error(res, err.message);
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/users/{id}/deactivate:
+ *   post:
+ *     summary: Deactivate a user and revoke all their sessions (requires users:manage)
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: User deactivated
+ *       400:
+ *         description: Already deactivated, or attempt to deactivate yourself
+ *       404:
+ *         description: User not found
+ */
+router.post('/users/:id/deactivate', async (req, res) => {
+  try {
+    const user = await findTargetUser(req, res);
+    if (!user) return;
+
+    if (String(user._id) === String(req.user.id)) {
+      return responseHandler.error(res, 'You cannot deactivate your own account', 400);
+    }
+    if (!user.isActive) {
+      return responseHandler.error(res, 'User is already deactivated', 400);
+    }
+
+    user.isActive = false;
+    user.deactivatedAt = new Date();
+    user.deactivatedBy = req.user.id;
+    await user.save();
+
+    await revokeAllSessions(user._id, 'account_deactivated');
+
+    return responseHandler.success(res, user, 'User deactivated successfully');
+  } catch (err) {
+    console.error('Error deactivating user:', err);
+    return responseHandler.error(res, err.message);
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/users/{id}/reactivate:
+ *   post:
+ *     summary: Reactivate a deactivated user (requires users:manage)
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: User reactivated
+ *       400:
+ *         description: User is already active
+ *       404:
+ *         description: User not found
+ */
+router.post('/users/:id/reactivate', async (req, res) => {
+  try {
+    const user = await findTargetUser(req, res);
+    if (!user) return;
+
+    if (user.isActive) {
+      return responseHandler.error(res, 'User is already active', 400);
+    }
+
+    user.isActive = true;
+    user.deactivatedAt = null;
+    user.deactivatedBy = null;
+    await user.save();
+
+    return responseHandler.success(res, user, 'User reactivated successfully');
+  } catch (err) {
+    console.error('Error reactivating user:', err);
+    return responseHandler.error(res, err.message);
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/users/{id}/unlock:
+ *   post:
+ *     summary: Clear failed-login counters and lift a login lockout (requires users:manage)
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Account unlocked
+ *       404:
+ *         description: User not found
+ */
+router.post('/users/:id/unlock', async (req, res) => {
+  try {
+    const user = await findTargetUser(req, res);
+    if (!user) return;
+
+    await unlockAccount(user.email);
+
+    return responseHandler.success(res, { id: user._id }, 'Account unlocked successfully');
+  } catch (err) {
+    console.error('Error unlocking user:', err);
+    return responseHandler.error(res, err.message);
+  }
+});
+
+export default router;
@@ -1,11 +1,185 @@
 import express from 'express';
-import Application from '../models/Application.js';
+import Application, { DOCUMENT_CATEGORIES, MAX_DOCUMENTS } from '../models/Application.js';
 import Pet from '../models/Pet.js';
 import User from '../models/User.js';
-import { authMiddleware, adminMiddleware } from '../middleware/auth.js';
+import { authMiddleware, requirePermission, requireVerifiedEmail } from '../middleware/auth.js';
+import { PERMISSIONS, hasPermission } from '../utils/permissions.js';
+import { createUpload, uploadErrorHandler, MB } from '../middleware/upload.js';
+import { validationUtils } from '../utils/validation.js';
+import { getStorage } from '../services/storage/index.js';
+import {
+  APPLICATION_STATUS,
+  APPLICATION_STAGES,
+  ACTIVE_APPLICATION_STATUSES,
+  submitApplication,
+  advanceApplication,
+  approveApplication,
+  rejectApplication,
+  withdrawApplication,
+  acceptContract
+} from '../services/adoptionWorkflow.js';
+import { ensureContract, generateContract } from '../services/contracts/index.js';
+import {
+  DOCUMENT_CONTENT_TYPES,
+  storeApplicationDocument,
+  removeApplicationDocuments
+} from '../services/applicationDocuments.js';
+import {
+  listMessages,
+  postMessage,
+  unreadCountsForApplicant
+} from '../services/applicationMessages.js';
 
 const router = express.Router();
 
+const SORT_OPTIONS = {
+  newest: { appliedDate: -1 },
+  oldest: { appliedDate: 1 },
+  updated: { updatedAt: -1 },
+  decided: { decidedDate: -1, appliedDate: -1 }
+};
+
+const STATUSES = Object.values(APPLICATION_STATUS);
+
+const MAX_DOCUMENT_SIZE = 10 * MB;
+const MAX_DOCUMENTS_PER_UPLOAD = 5;
+
+const documentUpload = createUpload({
+  accept: mimetype => DOCUMENT_CONTENT_TYPES.includes(mimetype),
+  rejectMessage: 'Only PDF, JPEG, PNG or WebP documents allowed',
+  maxFileSize: MAX_DOCUMENT_SIZE
+});
+
+const handleUploadError = uploadErrorHandler({
+  maxFileSize: MAX_DOCUMENT_SIZE,
+  tooManyFiles: `Too many documents (max ${MAX_DOCUMENTS_PER_UPLOAD} per upload)`
+});
+
+// Parse a YYYY-MM-DD (or full ISO) query date; `endOfDay` makes a bare
+// date inclusive as an upper bound
+const parseDate = (value, { endOfDay = false } = {}) => {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return null;
+  if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    date.setUTCHours(23, 59, 59, 999);
+  }
+  return date;
+};
+
+// Load an application for its applicant or for staff (applications:read),
+// answering 404/403 itself. Staff reviewing their own application are
+// treated as the applicant.
+const findApplicationForViewer = async (req, res, query = (q) => q) => {
+  if (!validationUtils.validateObjectId(req.params.id)) {
+    res.status(400).json({ success: false, message: 'Invalid application ID format' });
+    return null;
+  }
+
+  const application = await query(Application.findById(req.params.id));
+  if (!application) {
+    res.status(404).json({ success: false, message: 'Application not found' });
+    return null;
+  }
+
+  const isOwner = application.userId.toString() === req.user.id;
+  const isStaff = !isOwner && hasPermission(req.user.role, PERMISSIONS.APPLICATIONS_READ);
+  if (!isOwner && !isStaff) {
+    res.status(403).json({ success: false, message: 'Unauthorized' });
+    return null;
+  }
+
+  return { application, isStaff };
+};
+
+// Load and authorise the target of a document upload before multer buffers
+// any files; the application is passed on as req.application
+const loadDocumentUploadTarget = async (req, res, next) => {
+  try {
+    const found = await findApplicationForViewer(req, res);
+    if (!found) return;
+    const { application, isStaff } = found;
+
+    if (isStaff) {
+      return res.status(403).json({ success: false, message: 'Only the applicant can upload documents' });
+    }
+    if (!ACTIVE_APPLICATION_STATUSES.includes(application.status)) {
+      return res.status(409).json({ success: false, message: `Application is already ${application.status}` });
+    }
+    if (application.documents.length >= MAX_DOCUMENTS) {
+      return res.status(400).json({
+        success: false,
+        message: `An application can have at most ${MAX_DOCUMENTS} documents`
+      });
+    }
+
+    req.application = application;
+    next();
+  } catch (err) {
+    res.status(err.statusCode || 500).json({ success: false, message: err.message });
+  }
+};
+
+// Build the Mongo filter for the staff list from query parameters.
+// Returns { query } or { error } for a 400.
+const buildListFilter = async (params) => {
+  const query = {};
+
+  if (params.status) {
+    const requested = String(params.status) === 'active'
+      ? ACTIVE_APPLICATION_STATUSES
+      : String(params.status).split(',').map(s => s.trim()).filter(Boolean);
+    const unknown = requested.filter(s => !STATUSES.includes(s));
+    if (unknown.length > 0) {
+      return { error: `Unknown status: ${unknown.join(', ')}` };
+    }
+    query.status = { $in: requested };
+  }
+
+  // Pet and species both restrict petId
+  const petIdSets = [];
+  if (params.petId) {
+    if (!validationUtils.validateObjectId(String(params.petId))) {
+      return { error: 'Invalid pet ID format' };
+    }
+    petIdSets.push([String(params.petId)]);
+  }
+  if (params.species) {
+    const pets = await Pet.find({ species: String(params.species) }).select('_id');
+    petIdSets.push(pets.map(pet => String(pet._id)));
+  }
+  if (petIdSets.length > 0) {
+    const ids = petIdSets.reduce((acc, ids) => acc.filter(id => ids.includes(id)));
+    query.petId = { $in: ids };
+  }
+
+  if (params.applicant) {
+    const applicant = String(params.applicant).slice(0, 100);
+    if (validationUtils.validateObjectId(applicant)) {
+      query.userId = applicant;
+    } else {
+      const pattern = new RegExp(validationUtils.escapeRegex(applicant), 'i');
+      const users = await User.find({ $or: [{ name: pattern }, { email: pattern }] }).select('_id');
+      query.userId = { $in: users.map(user => user._id) };
+    }
+  }
+
+  if (params.from || params.to) {
+    query.appliedDate = {};
+    if (params.from) {
+      const from = parseDate(String(params.from));
+      if (!from) return { error: 'Invalid from date' };
+      query.appliedDate.$gte = from;
+    }
+    if (params.to) {
+      const to = parseDate(String(params.to), { endOfDay: true });
+      if (!to) return { error: 'Invalid to date' };
+      query.appliedDate.$lte = to;
+    }
+  }
+
+  return { query };
+};
+
 /**
  * @swagger
  * tags:
@@ -30,6 +204,11 @@ const router = express.Router();
  *           example:
  *             petId: "507f1f77bcf86cd799439011"
  *             userMessage: "I have a large backyard and experience with dogs."
+ *             answers:
+ *               housingType: "house"
+ *               hasYard: true
+ *               otherPets: ["cat"]
+ *               hoursAlonePerDay: 4
  *     responses:
  *       201:
  *         description: Application submitted successfully
@@ -47,12 +226,18 @@ const router = express.Router();
  *         description: Bad request (already applied or pet not found)
  *       401:
  *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         description: Email address not verified
+ *       409:
+ *         description: Pet is not accepting applications
+ *       422:
+ *         description: Questionnaire answers missing or invalid (see `errors`)
  *       500:
  *         description: Internal server error
  */
-router.post('/', authMiddleware, async (req, res) => {
+router.post('/', authMiddleware, requireVerifiedEmail, async (req, res) => {
   try {
-    const { petId, userMessage } = req.body;
+    const { petId, userMessage, answers } = req.body;
 
     // Check if pet exists
     const pet = await Pet.findById(petId);
@@ -66,20 +251,16 @@ router.post('/', authMiddleware, async (req, res) => {
       return res.status(400).json({ success: false, message: 'Already applied for this pet' });
     }
 
-    // Create application
-    const application = await Application.create({
-      userId: req.user.id,
-      petId,
-      userMessage,
-      status: 'Pending',
-    });
-
-    // Update pet status
-    await Pet.findByIdAndUpdate(petId, { status: 'Under Review' });
+    // Create application; the workflow marks the pet pending
+    const application = await submitApplication({ petId: pet._id, userId: req.user.id, userMessage, answers });
 
     res.status(201).json({ success: true, data: application });
   } catch (err) {
-    res.status(500).json({ success: false, message: err.message });
+    res.status(err.statusCode || 500).json({
+      success: false,
+      message: err.message,
+      ...(err.errors && { errors: err.errors })
+    });
   }
 });
 
@@ -112,12 +293,15 @@ router.post('/', authMiddleware, async (req, res) => {
  *                     description: Pet name
  *                   status:
  *                     type: string
- *                     enum: [Pending, Approved, Rejected]
+ *                     enum: [Pending, Screening, Interview, Home Visit, Trial Period, Approved, Rejected, Not Selected, Returned]
  *                   appliedDate:
  *                     type: string
  *                     format: date-time
  *                   adminNotes:
  *                     type: string
+ *                   unreadMessages:
+ *                     type: integer
+ *                     description: Staff messages in the thread the applicant has not read
  *       401:
  *         $ref: '#/components/responses/UnauthorizedError'
  *       500:
@@ -129,6 +313,8 @@ router.get('/my', authMiddleware, async (req, res) => {
       .populate('petId', 'name breed')
       .sort({ appliedDate: -1 });
 
+    const unread = await unreadCountsForApplicant(applications.map(app => app._id));
+
     const formatted = applications.map(app => ({
       _id: app._id,
       petId: app.petId._id,
@@ -136,6 +322,7 @@ router.get('/my', authMiddleware, async (req, res) => {
       status: app.status,
       appliedDate: app.appliedDate,
       adminNotes: app.adminNotes,
+      unreadMessages: unread.get(String(app._id)) || 0,
     }));
 
     res.json(formatted);
@@ -148,69 +335,165 @@ router.get('/my', authMiddleware, async (req, res) => {
  * @swagger
  * /api/applications:
  *   get:
- *     summary: Get all applications (Admin only)
+ *     summary: List applications with filters and pagination (requires applications:read)
  *     tags: [Applications]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *         description: One status, a comma-separated list, or "active" for every undecided stage
+ *       - in: query
+ *         name: petId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: species
+ *         schema:
+ *           type: string
+ *           enum: [dog, cat, bird, rabbit, hamster, guinea_pig, fish, reptile, other]
+ *       - in: query
+ *         name: applicant
+ *         schema:
+ *           type: string
+ *         description: Applicant user ID, or text matched against applicant name and email
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Applied on or after this date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Applied on or before this date
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [newest, oldest, updated, decided]
+ *           default: newest
  *     responses:
  *       200:
- *         description: All applications retrieved successfully
+ *         description: Applications retrieved successfully
  *         content:
  *           application/json:
  *             schema:
- *               type: array
- *               items:
- *                 type: object
- *                 properties:
- *                   _id:
- *                     type: string
- *                     description: Application ID
- *                   userId:
- *                     type: string
- *                     description: User ID
- *                   userName:
- *                     type: string
- *                     description: User name
- *                   petId:
- *                     type: string
- *                     description: Pet ID
- *                   petName:
- *                     type: string
- *                     description: Pet name
- *                   status:
- *                     type: string
- *                     enum: [Pending, Approved, Rejected]
- *                   appliedDate:
- *                     type: string
- *                     format: date-time
- *                   adminNotes:
- *                     type: string
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       _id:
+ *                         type: string
+ *                         description: Application ID
+ *                       userId:
+ *                         type: string
+ *                         description: User ID
+ *                       userName:
+ *                         type: string
+ *                         description: User name
+ *                       userEmail:
+ *                         type: string
+ *                       petId:
+ *                         type: string
+ *                         description: Pet ID
+ *                       petName:
+ *                         type: string
+ *                         description: Pet name
+ *                       species:
+ *                         type: string
+ *                       status:
+ *                         type: string
+ *                         enum: [Pending, Screening, Interview, Home Visit, Trial Period, Approved, Rejected, Not Selected, Returned]
+ *                       appliedDate:
+ *                         type: string
+ *                         format: date-time
+ *                       decidedDate:
+ *                         type: string
+ *                         format: date-time
+ *                       adminNotes:
+ *                         type: string
+ *                 currentPage:
+ *                   type: integer
+ *                 totalPages:
+ *                   type: integer
+ *                 totalApplications:
+ *                   type: integer
+ *       400:
+ *         description: Invalid filter value
  *       401:
  *         $ref: '#/components/responses/UnauthorizedError'
  *       403:
- *         description: Admin access required
+ *         description: Missing permission
  *       500:
  *         description: Internal server error
  */
-router.get('/', authMiddleware, adminMiddleware, async (req, res) => {
+router.get('/', authMiddleware, requirePermission(PERMISSIONS.APPLICATIONS_READ), async (req, res) => {
   try {
-    const applications = await Application.find()
-      .populate('userId', 'name email')
-      .populate('petId', 'name breed')
-      .sort({ appliedDate: -1 });
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
 
+    const filter = await buildListFilter(req.query);
+    if (filter.error) {
+      return res.status(400).json({ success: false, message: filter.error });
+    }
+
+    const sort = SORT_OPTIONS[req.query.sort] || SORT_OPTIONS.newest;
+    const skip = (page - 1) * limit;
+
+    const [applications, total] = await Promise.all([
+      Application.find(filter.query)
+        .populate('userId', 'name email')
+        .populate('petId', 'name breed species')
+        .sort(sort)
+        .skip(skip)
+        .limit(limit),
+      Application.countDocuments(filter.query)
+    ]);
+
+    // Pets or users may have been deleted since the application was made
     const formatted = applications.map(app => ({
       _id: app._id,
-      userId: app.userId._id,
-      userName: app.userId.name,
-      petId: app.petId._id,
-      petName: app.petId.name,
+      userId: app.userId ? app.userId._id : null,
+      userName: app.userId ? app.userId.name : null,
+      userEmail: app.userId ? app.userId.email : null,
+      petId: app.petId ? app.petId._id : null,
+      petName: app.petId ? app.petId.name : null,
+      species: app.petId ? app.petId.species : null,
       status: app.status,
       appliedDate: app.appliedDate,
+      decidedDate: app.decidedDate,
       adminNotes: app.adminNotes,
     }));
 
-    res.json(formatted);
+    res.json({
+      success: true,
+      data: formatted,
+      currentPage: page,
+      totalPages: Math.ceil(total / limit),
+      totalApplications: total,
+    });
   } catch (err) {
     res.status(500).json({ success: false, message: err.message });
   }
@@ -218,9 +501,10 @@ router.get('/', authMiddleware, adminMiddleware, async (req, res) => {
 
 /**
  * @swagger
- * /api/applications/{id}/approve:
+ * /api/applications/{id}/advance:
  *   put:
- *     summary: Approve an application (Admin only)
+ *     summary: Move an application to a later stage (requires applications:decide)
+ *     description: Stages run Pending → Screening → Interview → Home Visit → Trial Period. Without `stage` the application moves to the next one; stages may be skipped but never revisited. Use approve/reject to finish.
  *     tags: [Applications]
  *     security:
  *       - bearerAuth: []
@@ -238,55 +522,51 @@ router.get('/', authMiddleware, adminMiddleware, async (req, res) => {
  *           schema:
  *             type: object
  *             properties:
- *               adminNotes:
+ *               stage:
  *                 type: string
- *                 description: Notes from admin about the approval
+ *                 enum: [Screening, Interview, Home Visit, Trial Period]
+ *               note:
+ *                 type: string
+ *                 description: Note recorded on the timeline for this step
  *     responses:
  *       200:
- *         description: Application approved successfully
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 success:
- *                   type: boolean
- *                   example: true
- *                 data:
- *                   $ref: '#/components/schemas/Application'
+ *         description: Application advanced successfully
+ *       400:
+ *         description: Unknown stage
  *       401:
  *         $ref: '#/components/responses/UnauthorizedError'
  *       403:
- *         description: Admin access required
+ *         description: Missing permission
  *       404:
  *         $ref: '#/components/responses/NotFoundError'
+ *       409:
+ *         description: Application is already decided or past that stage
  *       500:
  *         description: Internal server error
  */
-router.put('/:id/approve', authMiddleware, adminMiddleware, async (req, res) => {
+router.put('/:id/advance', authMiddleware, requirePermission(PERMISSIONS.APPLICATIONS_DECIDE), async (req, res) => {
   try {
-    const application = await Application.findById(req.params.id);
-    
-    // Update application
-    application.status = 'Approved';
-    application.adminNotes = req.body.adminNotes;
-    application.decidedDate = new Date();
-    await application.save();
+    if (!validationUtils.validateObjectId(req.params.id)) {
+      return res.status(400).json({ success: false, message: 'Invalid application ID format' });
+    }
 
-    // Update pet status to adopted
-    await Pet.findByIdAndUpdate(application.petId, { status: 'Adopted' });
+    const application = await advanceApplication(req.params.id, req.user, {
+      to: req.body.stage,
+      note: req.body.note
+    });
 
     res.json({ success: true, data: application });
   } catch (err) {
-    res.status(500).json({ success: false, message: err.message });
+    res.status(err.statusCode || 500).json({ success: false, message: err.message });
   }
 });
 
 /**
  * @swagger
- * /api/applications/{id}/reject:
- *   put:
- *     summary: Reject an application (Admin only)
+ * /api/applications/{id}/timeline:
+ *   get:
+ *     summary: Get the stage history of an application (applicant or applications:read)
+ *     description: Staff also see who made each change; applicants only see when it happened.
  *     tags: [Applications]
  *     security:
  *       - bearerAuth: []
@@ -297,19 +577,9 @@ router.put('/:id/approve', authMiddleware, adminMiddleware, async (req, res) =>
  *         schema:
  *           type: string
  *         description: Application ID
- *     requestBody:
- *       required: false
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             properties:
- *               adminNotes:
- *                 type: string
- *                 description: Notes from admin about the rejection
  *     responses:
  *       200:
- *         description: Application rejected successfully
+ *         description: Timeline retrieved successfully
  *         content:
  *           application/json:
  *             schema:
@@ -319,30 +589,69 @@ router.put('/:id/approve', authMiddleware, adminMiddleware, async (req, res) =>
  *                   type: boolean
  *                   example: true
  *                 data:
- *                   $ref: '#/components/schemas/Application'
+ *                   type: object
+ *                   properties:
+ *                     status:
+ *                       type: string
+ *                     stages:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *                     timeline:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           from:
+ *                             type: string
+ *                           to:
+ *                             type: string
+ *                           note:
+ *                             type: string
+ *                           changedAt:
+ *                             type: string
+ *                             format: date-time
+ *                           changedBy:
+ *                             type: object
+ *                             description: Staff only
  *       401:
  *         $ref: '#/components/responses/UnauthorizedError'
  *       403:
- *         description: Admin access required
+ *         description: Not your application
  *       404:
  *         $ref: '#/components/responses/NotFoundError'
  *       500:
  *         description: Internal server error
  */
-router.put('/:id/reject', authMiddleware, adminMiddleware, async (req, res) => {
+router.get('/:id/timeline', authMiddleware, async (req, res) => {
   try {
-    const application = await Application.findById(req.params.id);
-    
-    // Update application
-    application.status = 'Rejected';
-    application.adminNotes = req.body.adminNotes;
-    application.decidedDate = new Date();
-    await application.save();
+    const found = await findApplicationForViewer(req, res,
+      query => query.populate('history.changedBy', 'name email role'));
+    if (!found) return;
+    const { application, isStaff } = found;
 
-    // Update pet status back to available
-    await Pet.findByIdAndUpdate(application.petId, { status: 'Available' });
+    // Applications created before stages were tracked have no history
+    const history = application.history.length > 0
+      ? application.history
+      : [
+          { from: null, to: APPLICATION_STATUS.PENDING, changedAt: application.appliedDate },
+          ...(application.decidedDate
+            ? [{ from: APPLICATION_STATUS.PENDING, to: application.status, note: application.adminNotes, changedAt: application.decidedDate }]
+            : [])
+        ];
 
-    res.json({ success: true, data: application });
+    const timeline = history.map(entry => ({
+      from: entry.from,
+      to: entry.to,
+      note: entry.note,
+      changedAt: entry.changedAt,
+      ...(isStaff && { changedBy: entry.changedBy || null })
+    }));
+
+    res.json({
+      success: true,
+      data: { status: application.status, stages: APPLICATION_STAGES, timeline }
+    });
   } catch (err) {
     res.status(500).json({ success: false, message: err.message });
   }
@@ -350,9 +659,10 @@ router.put('/:id/reject', authMiddleware, adminMiddleware, async (req, res) => {
 
 /**
  * @swagger
- * /api/applications/{id}:
- *   delete:
- *     summary: Withdraw an application
+ * /api/applications/{id}/messages:
+ *   get:
+ *     summary: Get the message thread of an application (applicant or applications:read)
+ *     description: Marks the other side's messages as read. Applicants never see internal staff notes or which staff member wrote a message.
  *     tags: [Applications]
  *     security:
  *       - bearerAuth: []
@@ -365,7 +675,7 @@ router.put('/:id/reject', authMiddleware, adminMiddleware, async (req, res) => {
  *         description: Application ID
  *     responses:
  *       200:
- *         description: Application withdrawn successfully
+ *         description: Messages retrieved successfully
  *         content:
  *           application/json:
  *             schema:
@@ -374,39 +684,788 @@ router.put('/:id/reject', authMiddleware, adminMiddleware, async (req, res) => {
  *                 success:
  *                   type: boolean
  *                   example: true
- *                 message:
- *                   type: string
- *                   example: "Application withdrawn"
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       _id:
+ *                         type: string
+ *                       sender:
+ *                         type: string
+ *                         enum: [applicant, staff]
+ *                       authorId:
+ *                         type: object
+ *                         nullable: true
+ *                       body:
+ *                         type: string
+ *                       internal:
+ *                         type: boolean
+ *                       readAt:
+ *                         type: string
+ *                         format: date-time
+ *                         nullable: true
+ *                       createdAt:
+ *                         type: string
+ *                         format: date-time
  *       401:
  *         $ref: '#/components/responses/UnauthorizedError'
  *       403:
- *         description: Unauthorized to withdraw this application
+ *         description: Not your application
  *       404:
  *         $ref: '#/components/responses/NotFoundError'
  *       500:
  *         description: Internal server error
  */
-router.delete('/:id', authMiddleware, async (req, res) => {
+router.get('/:id/messages', authMiddleware, async (req, res) => {
   try {
-    const application = await Application.findById(req.params.id);
-    
-    if (application.userId.toString() !== req.user.id) {
-      return res.status(403).json({ success: false, message: 'Unauthorized' });
+    const found = await findApplicationForViewer(req, res);
+    if (!found) return;
+
+    const messages = await listMessages(found.application, req.user, { isStaff: found.isStaff });
+
+    res.json({ success: true, data: messages });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/applications/{id}/messages:
+ *   post:
+ *     summary: Post a message to an application's thread (applicant or applications:read)
+ *     tags: [Applications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Application ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [body]
+ *             properties:
+ *               body:
+ *                 type: string
+ *                 maxLength: 5000
+ *               internal:
+ *                 type: boolean
+ *                 description: Staff only; keeps the note hidden from the applicant
+ *     responses:
+ *       201:
+ *         description: Message posted
+ *       400:
+ *         description: Empty message, or applicant tried to post an internal note
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         description: Not your application
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/:id/messages', authMiddleware, async (req, res) => {
+  try {
+    const { body, internal } = req.body;
+    if (typeof body !== 'string' || body.trim() === '') {
+      return res.status(400).json({ success: false, message: 'Message body is required' });
+    }
+    if (body.length > 5000) {
+      return res.status(400).json({ success: false, message: 'Message cannot exceed 5000 characters' });
     }
 
-    // Delete application
-    await Application.findByIdAndDelete(req.params.id);
+    const found = await findApplicationForViewer(req, res);
+    if (!found) return;
 
-    // Update pet status back to available if this was the only pending app
-    const otherApps = await Application.findOne({ petId: application.petId, status: 'Pending' });
-    if (!otherApps) {
-      await Pet.findByIdAndUpdate(application.petId, { status: 'Available' });
+    if (internal && !found.isStaff) {
+      return res.status(400).json({ success: false, message: 'Only staff can post internal notes' });
     }
 
-    res.json({ success: true, message: 'Application withdrawn' });
+    const message = await postMessage(found.application, req.user, {
+      body,
+      internal: Boolean(internal),
+      isStaff: found.isStaff
+    });
+
+    res.status(201).json({ success: true, data: message });
   } catch (err) {
     res.status(500).json({ success: false, message: err.message });
   }
 });
 
+/**
+ * @swagger
+ * /api/applications/{id}/documents:
+ *   post:
+ *     summary: Attach documents to your application (applicant only)
+ *     description: Accepts PDF, JPEG, PNG or WebP files up to 10MB each, checked by content. Only while the application is undecided, and at most 10 per application.
+ *     tags: [Applications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Application ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required: [documents]
+ *             properties:
+ *               documents:
+ *                 type: array
+ *                 maxItems: 5
+ *                 items:
+ *                   type: string
+ *                   format: binary
+ *               category:
+ *                 type: string
+ *                 enum: [proof_of_address, landlord_permission, identification, other]
+ *                 default: other
+ *     responses:
+ *       201:
+ *         description: Documents uploaded
+ *       400:
+ *         description: Invalid application ID, or missing, too large, unsupported or too many documents
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         description: Not your application
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       409:
+ *         description: Application is already decided
+ *       500:
+ *         description: Internal server error
+ */
+router.post(
+  '/:id/documents',
+  authMiddleware,
+  loadDocumentUploadTarget,
+  documentUpload.array('documents', MAX_DOCUMENTS_PER_UPLOAD),
+  handleUploadError,
+  async (req, res) => {
+    try {
+      const files = req.files || [];
+      if (files.length === 0) {
+        return res.status(400).json({ success: false, message: 'No documents uploaded' });
+      }
+
+      const category = req.body.category || 'other';
+      if (!DOCUMENT_CATEGORIES.includes(category)) {
+        return res.status(400).json({
+          success: false,
+          message: `Category must be one of: ${DOCUMENT_CATEGORIES.join(', ')}`
+        });
+      }
+
+      const { application } = req;
+      if (application.documents.length + files.length > MAX_DOCUMENTS) {
+        return res.status(400).json({
+          success: false,
+          message: `An application can have at most ${MAX_DOCUMENTS} documents`
+        });
+      }
+
+      const stored = [];
+      try {
+        for (const file of files) {
+          stored.push(await storeApplicationDocument(application._id, file, {
+            category,
+            uploadedBy: req.user.id
+          }));
+        }
+        application.documents.push(...stored);
+        await application.save();
+      } catch (err) {
+        await removeApplicationDocuments(stored);
+        throw err;
+      }
+
+      res.status(201).json({ success: true, data: application.toJSON().documents });
+    } catch (err) {
+      res.status(err.statusCode || 500).json({ success: false, message: err.message });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/applications/{id}/documents:
+ *   get:
+ *     summary: List an application's documents (applicant or applications:read)
+ *     tags: [Applications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Application ID
+ *     responses:
+ *       200:
+ *         description: Documents retrieved successfully
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         description: Not your application
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/:id/documents', authMiddleware, async (req, res) => {
+  try {
+    const found = await findApplicationForViewer(req, res);
+    if (!found) return;
+
+    res.json({ success: true, data: found.application.toJSON().documents });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/applications/{id}/documents/{documentId}:
+ *   get:
+ *     summary: Download a document (applicant or applications:read)
+ *     tags: [Applications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Application ID
+ *       - in: path
+ *         name: documentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The document file
+ *         content:
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *           image/*:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         description: Not your application
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.get('/:id/documents/:documentId', authMiddleware, async (req, res) => {
+  try {
+    const found = await findApplicationForViewer(req, res);
+    if (!found) return;
+
+    const document = validationUtils.validateObjectId(req.params.documentId)
+      && found.application.documents.id(req.params.documentId);
+    if (!document) {
+      return res.status(404).json({ success: false, message: 'Document not found' });
+    }
+
+    const object = await getStorage().get(document.key);
+    if (!object) {
+      return res.status(404).json({ success: false, message: 'Document not found' });
+    }
+
+    res.set('Content-Type', document.contentType);
+    if (object.size) {
+      res.set('Content-Length', String(object.size));
+    }
+    res.set('Cache-Control', 'private, no-store');
+    res.set('X-Content-Type-Options', 'nosniff');
+    res.attachment(document.originalName);
+
+    object.stream.on('error', (err) => {
+      console.error('Error streaming document:', err);
+      res.destroy(err);
+    });
+    object.stream.pipe(res);
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/applications/{id}/documents/{documentId}:
+ *   delete:
+ *     summary: Remove a document from your application (applicant only, while undecided)
+ *     tags: [Applications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Application ID
+ *       - in: path
+ *         name: documentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Document removed
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         description: Not your application
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       409:
+ *         description: Application is already decided
+ */
+router.delete('/:id/documents/:documentId', authMiddleware, async (req, res) => {
+  try {
+    const found = await findApplicationForViewer(req, res);
+    if (!found) return;
+    const { application, isStaff } = found;
+
+    if (isStaff) {
+      return res.status(403).json({ success: false, message: 'Only the applicant can remove documents' });
+    }
+    if (!ACTIVE_APPLICATION_STATUSES.includes(application.status)) {
+      return res.status(409).json({ success: false, message: `Application is already ${application.status}` });
+    }
+
+    const document = validationUtils.validateObjectId(req.params.documentId)
+      && application.documents.id(req.params.documentId);
+    if (!document) {
+      return res.status(404).json({ success: false, message: 'Document not found' });
+    }
+
+    application.documents.pull(document._id);
+    await application.save();
+    await removeApplicationDocuments([document]);
+
+    res.json({ success: true, message: 'Document removed' });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/applications/{id}/approve:
+ *   put:
+ *     summary: Approve an application (requires applications:decide)
+ *     description: Atomically approves the application and moves every other undecided application for the pet to Not Selected (those applicants are notified by email). An adoption contract is generated; the pet stays pending until the applicant accepts it.
+ *     tags: [Applications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Application ID
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               adminNotes:
+ *                 type: string
+ *                 description: Notes from admin about the approval
+ *     responses:
+ *       200:
+ *         description: Application approved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/Application'
+ *       400:
+ *         description: Invalid application ID
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         description: Missing permission
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       409:
+ *         description: Transition not allowed from the application's current status
+ *       500:
+ *         description: Internal server error
+ */
+router.put('/:id/approve', authMiddleware, requirePermission(PERMISSIONS.APPLICATIONS_DECIDE), async (req, res) => {
+  try {
+    if (!validationUtils.validateObjectId(req.params.id)) {
+      return res.status(400).json({ success: false, message: 'Invalid application ID format' });
+    }
+
+    // Approve atomically; the workflow marks the other undecided
+    // applications for the pet Not Selected and generates the contract
+    const application = await approveApplication(req.params.id, req.user, {
+      adminNotes: req.body.adminNotes
+    });
+
+    res.json({ success: true, data: application });
+  } catch (err) {
+    res.status(err.statusCode || 500).json({ success: false, message: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/applications/{id}/contract:
+ *   get:
+ *     summary: Download the adoption contract PDF (applicant or applications:read)
+ *     description: Available once the application is approved. After acceptance the copy including the acceptance record is returned.
+ *     tags: [Applications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Application ID
+ *     responses:
+ *       200:
+ *         description: The contract
+ *         content:
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         description: Not your application
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       409:
+ *         description: Application is not approved
+ */
+router.get('/:id/contract', authMiddleware, async (req, res) => {
+  try {
+    const found = await findApplicationForViewer(req, res);
+    if (!found) return;
+    const { application } = found;
+
+    if (application.status !== APPLICATION_STATUS.APPROVED) {
+      return res.status(409).json({ success: false, message: 'Only approved applications have a contract' });
+    }
+
+    await ensureContract(application);
+    const { contract } = application;
+
+    const object = await getStorage().get(contract.signedKey || contract.key);
+    if (!object) {
+      return res.status(404).json({ success: false, message: 'Contract not found' });
+    }
+
+    res.set('Content-Type', 'application/pdf');
+    if (object.size) {
+      res.set('Content-Length', String(object.size));
+    }
+    res.set('Cache-Control', 'private, no-store');
+    res.set('X-Contract-Terms-Hash', contract.termsHash);
+    res.attachment(`adoption-contract-${application._id}.pdf`);
+
+    object.stream.on('error', (err) => {
+      console.error('Error streaming contract:', err);
+      res.destroy(err);
+    });
+    object.stream.pipe(res);
+  } catch (err) {
+    res.status(err.statusCode || 500).json({ success: false, message: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/applications/{id}/contract/regenerate:
+ *   post:
+ *     summary: Regenerate an unaccepted contract from the current records (requires applications:decide)
+ *     tags: [Applications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Application ID
+ *     responses:
+ *       200:
+ *         description: Contract regenerated
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         description: Missing permission
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       409:
+ *         description: Application is not approved, or the contract was already accepted
+ */
+router.post('/:id/contract/regenerate', authMiddleware, requirePermission(PERMISSIONS.APPLICATIONS_DECIDE), async (req, res) => {
+  try {
+    if (!validationUtils.validateObjectId(req.params.id)) {
+      return res.status(400).json({ success: false, message: 'Invalid application ID format' });
+    }
+
+    const application = await Application.findById(req.params.id);
+    if (!application) {
+      return res.status(404).json({ success: false, message: 'Application not found' });
+    }
+    if (application.status !== APPLICATION_STATUS.APPROVED) {
+      return res.status(409).json({ success: false, message: 'Only approved applications have a contract' });
+    }
+
+    await generateContract(application);
+
+    res.json({ success: true, data: application.toJSON().contract });
+  } catch (err) {
+    res.status(err.statusCode || 500).json({ success: false, message: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/applications/{id}/contract/accept:
+ *   post:
+ *     summary: Accept the adoption contract electronically (applicant only)
+ *     description: Records the typed name, time and IP address on the application and marks the pet adopted.
+ *     tags: [Applications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Application ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [typedName, termsHash, agree]
+ *             properties:
+ *               typedName:
+ *                 type: string
+ *                 description: Full name as on the account, acting as the signature
+ *               termsHash:
+ *                 type: string
+ *                 description: contract.termsHash of the version being accepted
+ *               agree:
+ *                 type: boolean
+ *                 example: true
+ *     responses:
+ *       200:
+ *         description: Contract accepted; the pet is now adopted
+ *       400:
+ *         description: Agreement not confirmed, or typed name does not match
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         description: Not your application
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       409:
+ *         description: Not approved, already accepted, or the contract has changed
+ */
+router.post('/:id/contract/accept', authMiddleware, async (req, res) => {
+  try {
+    const { typedName, termsHash, agree } = req.body;
+    if (agree !== true) {
+      return res.status(400).json({ success: false, message: 'You must agree to the contract terms' });
+    }
+    if (!validationUtils.validateObjectId(req.params.id)) {
+      return res.status(400).json({ success: false, message: 'Invalid application ID format' });
+    }
+
+    const application = await acceptContract(req.params.id, req.user, {
+      typedName,
+      termsHash,
+      ip: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    res.json({ success: true, message: 'Contract accepted', data: application });
+  } catch (err) {
+    res.status(err.statusCode || 500).json({ success: false, message: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/applications/{id}/reject:
+ *   put:
+ *     summary: Reject an application (requires applications:decide)
+ *     description: Also withdraws an approval whose contract the applicant has not yet accepted.
+ *     tags: [Applications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Application ID
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               adminNotes:
+ *                 type: string
+ *                 description: Notes from admin about the rejection
+ *     responses:
+ *       200:
+ *         description: Application rejected successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/Application'
+ *       400:
+ *         description: Invalid application ID
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         description: Missing permission
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       409:
+ *         description: Transition not allowed from the application's current status
+ *       500:
+ *         description: Internal server error
+ */
+router.put('/:id/reject', authMiddleware, requirePermission(PERMISSIONS.APPLICATIONS_DECIDE), async (req, res) => {
+  try {
+    if (!validationUtils.validateObjectId(req.params.id)) {
+      return res.status(400).json({ success: false, message: 'Invalid application ID format' });
+    }
+
+    // Reject; the workflow releases the pet if nobody else is waiting
+    const application = await rejectApplication(req.params.id, req.user, {
+      adminNotes: req.body.adminNotes
+    });
+
+    res.json({ success: true, data: application });
+  } catch (err) {
+    res.status(err.statusCode || 500).json({ success: false, message: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/applications/{id}:
+ *   delete:
+ *     summary: Withdraw an application
+ *     tags: [Applications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Application ID
+ *     responses:
+ *       200:
+ *         description: Application withdrawn successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Application withdrawn"
+ *       400:
+ *         description: Invalid application ID
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         description: Unauthorized to withdraw this application
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       409:
+ *         description: Transition not allowed from the application's current status
+ *       500:
+ *         description: Internal server error
+ */
+router.delete('/:id', authMiddleware, async (req, res) => {
+  try {
+    if (!validationUtils.validateObjectId(req.params.id)) {
+      return res.status(400).json({ success: false, message: 'Invalid application ID format' });
+    }
+
+    const application = await Application.findById(req.params.id);
+    if (!application) {
+      return res.status(404).json({ success: false, message: 'Application not found' });
+    }
+
+    if (application.userId.toString() !== req.user.id) {
+      return res.status(403).json({ success: false, message: 'Unauthorized' });
+    }
+
+    // Delete application; the workflow releases the pet if nobody else is waiting
+    await withdrawApplication(application._id, req.user);
+
+    res.json({ success: true, message: 'Application withdrawn' });
+  } catch (err) {
+    res.status(err.statusCode || 500).json({ success: false, message: err.message });
+  }
+});
+
 export default router;
\ No newline at end of file
@@ -0,0 +1,524 @@
+import express from 'express';
+import Appointment from '../models/Appointment.js';
+import AppointmentSlot from '../models/AppointmentSlot.js';
+import Pet from '../models/Pet.js';
+import { authMiddleware, requirePermission } from '../middleware/auth.js';
+import { PERMISSIONS, hasPermission } from '../utils/permissions.js';
+import { responseHandler } from '../utils/responseHandler.js';
+import { validationUtils } from '../utils/validation.js';
+import { buildCalendar } from '../utils/ical.js';
+import {
+  bookedSlotIds,
+  canAccessAppointment,
+  bookAppointment,
+  rescheduleAppointment,
+  cancelAppointment
+} from '../services/appointments.js';
+
+const router = express.Router();
+
+const MAX_SLOT_MINUTES = 4 * 60;
+
+// { $gte, $lte } on startsAt from ?from= / ?to=, or null if either is invalid
+const dateRange = ({ from, to }) => {
+  const range = {};
+  if (from) {
+    range.$gte = new Date(String(from));
+    if (Number.isNaN(range.$gte.getTime())) return null;
+  }
+  if (to) {
+    range.$lte = new Date(String(to));
+    if (Number.isNaN(range.$lte.getTime())) return null;
+  }
+  return range;
+};
+
+/**
+ * @swagger
+ * tags:
+ *   name: Appointments
+ *   description: Meet-and-greet scheduling
+ */
+
+/**
+ * @swagger
+ * /api/appointments/slots:
+ *   post:
+ *     summary: Open an availability slot (requires appointments:manage)
+ *     tags: [Appointments]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [startsAt, endsAt]
+ *             properties:
+ *               startsAt:
+ *                 type: string
+ *                 format: date-time
+ *               endsAt:
+ *                 type: string
+ *                 format: date-time
+ *               location:
+ *                 type: string
+ *               notes:
+ *                 type: string
+ *               petId:
+ *                 type: string
+ *                 description: Reserve the slot for one pet
+ *     responses:
+ *       201:
+ *         description: Slot created
+ *       400:
+ *         description: Slot in the past, too long, or unknown pet
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         description: Missing permission
+ *       422:
+ *         description: Validation failed
+ */
+router.post('/slots', authMiddleware, requirePermission(PERMISSIONS.APPOINTMENTS_MANAGE), async (req, res, next) => {
+  try {
+    const { startsAt, endsAt, location, notes, petId } = req.body;
+
+    const start = new Date(startsAt);
+    const end = new Date(endsAt);
+    if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime())) {
+      return responseHandler.error(res, 'startsAt and endsAt must be valid dates', 400);
+    }
+    if (start <= new Date()) {
+      return responseHandler.error(res, 'Slot must start in the future', 400);
+    }
+    if (end - start > MAX_SLOT_MINUTES * 60 * 1000) {
+      return responseHandler.error(res, `Slot cannot be longer than ${MAX_SLOT_MINUTES / 60} hours`, 400);
+    }
+    if (petId) {
+      if (!validationUtils.validateObjectId(petId) || !(await Pet.exists({ _id: petId }))) {
+        return responseHandler.error(res, 'Pet not found', 400);
+      }
+    }
+
+    const slot = await AppointmentSlot.create({
+      startsAt: start,
+      endsAt: end,
+      location,
+      notes,
+      petId: petId || null,
+      createdBy: req.user.id
+    });
+
+    return responseHandler.success(res, slot, 'Slot created successfully', 201);
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/appointments/slots:
+ *   get:
+ *     summary: List upcoming slots
+ *     description: Applicants see open slots (optionally those usable for one pet). Staff with appointments:manage can pass `includeBooked=true`.
+ *     tags: [Appointments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: petId
+ *         schema:
+ *           type: string
+ *         description: Only slots open to this pet
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: includeBooked
+ *         schema:
+ *           type: boolean
+ *     responses:
+ *       200:
+ *         description: Slots retrieved successfully
+ *       400:
+ *         description: Invalid filter value
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ */
+router.get('/slots', authMiddleware, async (req, res, next) => {
+  try {
+    const range = dateRange(req.query);
+    if (!range) {
+      return responseHandler.error(res, 'Invalid date range', 400);
+    }
+
+    const filter = { startsAt: { $gt: new Date(), ...range } };
+    if (req.query.petId) {
+      if (!validationUtils.validateObjectId(String(req.query.petId))) {
+        return responseHandler.error(res, 'Invalid pet ID format', 400);
+      }
+      filter.petId = { $in: [null, String(req.query.petId)] };
+    }
+
+    const slots = await AppointmentSlot.find(filter).sort({ startsAt: 1 }).limit(200);
+    const booked = await bookedSlotIds(slots.map(slot => slot._id));
+
+    const includeBooked = req.query.includeBooked === 'true'
+      && hasPermission(req.user.role, PERMISSIONS.APPOINTMENTS_MANAGE);
+
+    const data = slots
+      .map(slot => ({ ...slot.toJSON(), isBooked: booked.has(String(slot._id)) }))
+      .filter(slot => includeBooked || !slot.isBooked);
+
+    return res.json({ success: true, data });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/appointments/slots/{id}:
+ *   delete:
+ *     summary: Remove an unbooked slot (requires appointments:manage)
+ *     tags: [Appointments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Slot removed
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       409:
+ *         description: Slot is booked; cancel or reschedule the appointment first
+ */
+router.delete('/slots/:id', authMiddleware, requirePermission(PERMISSIONS.APPOINTMENTS_MANAGE), async (req, res, next) => {
+  try {
+    if (!validationUtils.validateObjectId(req.params.id)) {
+      return responseHandler.error(res, 'Invalid slot ID format', 400);
+    }
+
+    const slot = await AppointmentSlot.findById(req.params.id);
+    if (!slot) {
+      return responseHandler.notFound(res, 'Slot');
+    }
+    if ((await bookedSlotIds([slot._id])).size > 0) {
+      return responseHandler.error(res, 'Slot is booked; cancel or reschedule the appointment first', 409);
+    }
+
+    await slot.deleteOne();
+
+    return responseHandler.success(res, null, 'Slot removed successfully');
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/appointments:
+ *   post:
+ *     summary: Book a slot for your application
+ *     tags: [Appointments]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [applicationId, slotId]
+ *             properties:
+ *               applicationId:
+ *                 type: string
+ *               slotId:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Appointment booked
+ *       400:
+ *         description: Slot in the past or reserved for another pet
+ *       403:
+ *         description: Not your application
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       409:
+ *         description: Slot already booked, pet busy at that time, application already has an appointment, or application decided
+ */
+router.post('/', authMiddleware, async (req, res, next) => {
+  try {
+    const { applicationId, slotId } = req.body;
+    if (!validationUtils.validateObjectId(String(applicationId)) || !validationUtils.validateObjectId(String(slotId))) {
+      return responseHandler.error(res, 'applicationId and slotId must be valid IDs', 400);
+    }
+
+    const appointment = await bookAppointment({ applicationId, slotId }, req.user);
+
+    return responseHandler.success(res, appointment, 'Appointment booked successfully', 201);
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/appointments/my:
+ *   get:
+ *     summary: Get your appointments
+ *     tags: [Appointments]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Appointments retrieved successfully
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ */
+router.get('/my', authMiddleware, async (req, res, next) => {
+  try {
+    const appointments = await Appointment.find({ userId: req.user.id })
+      .populate('petId', 'name species')
+      .sort({ startsAt: -1 });
+
+    return res.json({ success: true, data: appointments });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/appointments:
+ *   get:
+ *     summary: List appointments (requires appointments:manage)
+ *     tags: [Appointments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [scheduled, cancelled]
+ *       - in: query
+ *         name: petId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *     responses:
+ *       200:
+ *         description: Appointments retrieved successfully
+ *       400:
+ *         description: Invalid filter value
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         description: Missing permission
+ */
+router.get('/', authMiddleware, requirePermission(PERMISSIONS.APPOINTMENTS_MANAGE), async (req, res, next) => {
+  try {
+    const range = dateRange(req.query);
+    if (!range) {
+      return responseHandler.error(res, 'Invalid date range', 400);
+    }
+
+    const filter = {};
+    if (Object.keys(range).length > 0) {
+      filter.startsAt = range;
+    }
+    if (req.query.status) {
+      filter.status = String(req.query.status);
+    }
+    if (req.query.petId) {
+      if (!validationUtils.validateObjectId(String(req.query.petId))) {
+        return responseHandler.error(res, 'Invalid pet ID format', 400);
+      }
+      filter.petId = String(req.query.petId);
+    }
+
+    const appointments = await Appointment.find(filter)
+      .populate('petId', 'name species')
+      .populate('userId', 'name email phone')
+      .sort({ startsAt: 1 })
+      .limit(500);
+
+    return res.json({ success: true, data: appointments });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/appointments/{id}/reschedule:
+ *   put:
+ *     summary: Move an appointment to another slot (applicant or appointments:manage)
+ *     tags: [Appointments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [slotId]
+ *             properties:
+ *               slotId:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Appointment rescheduled
+ *       400:
+ *         description: Slot in the past, reserved for another pet, or unchanged
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       409:
+ *         description: Slot already booked, pet busy at that time, or appointment cancelled
+ */
+router.put('/:id/reschedule', authMiddleware, async (req, res, next) => {
+  try {
+    const { slotId } = req.body;
+    if (!validationUtils.validateObjectId(req.params.id) || !validationUtils.validateObjectId(String(slotId))) {
+      return responseHandler.error(res, 'Appointment ID and slotId must be valid IDs', 400);
+    }
+
+    const appointment = await rescheduleAppointment(req.params.id, { slotId }, req.user);
+
+    return responseHandler.success(res, appointment, 'Appointment rescheduled successfully');
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/appointments/{id}/cancel:
+ *   put:
+ *     summary: Cancel an appointment (applicant or appointments:manage)
+ *     tags: [Appointments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Appointment cancelled
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       409:
+ *         description: Appointment already cancelled
+ */
+router.put('/:id/cancel', authMiddleware, async (req, res, next) => {
+  try {
+    if (!validationUtils.validateObjectId(req.params.id)) {
+      return responseHandler.error(res, 'Invalid appointment ID format', 400);
+    }
+
+    const appointment = await cancelAppointment(req.params.id, { reason: req.body.reason }, req.user);
+
+    return responseHandler.success(res, appointment, 'Appointment cancelled successfully');
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/appointments/{id}/ics:
+ *   get:
+ *     summary: Download an appointment as an iCalendar (.ics) file (applicant or appointments:manage)
+ *     tags: [Appointments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The calendar file
+ *         content:
+ *           text/calendar:
+ *             schema:
+ *               type: string
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.get('/:id/ics', authMiddleware, async (req, res, next) => {
+  try {
+    if (!validationUtils.validateObjectId(req.params.id)) {
+      return responseHandler.error(res, 'Invalid appointment ID format', 400);
+    }
+
+    const appointment = await Appointment.findById(req.params.id).populate('petId', 'name');
+    if (!appointment || !canAccessAppointment(appointment, req.user)) {
+      return responseHandler.notFound(res, 'Appointment');
+    }
+
+    const petName = appointment.petId ? appointment.petId.name : 'your pet';
+    const calendar = buildCalendar([{
+      uid: `appointment-${appointment._id}@pet-adoption`,
+      start: appointment.startsAt,
+      end: appointment.endsAt,
+      sequence: appointment.sequence,
+      status: appointment.status === 'cancelled' ? 'CANCELLED' : 'CONFIRMED',
+      summary: `Meet-and-greet with ${petName}`,
+      location: appointment.location
+    }]);
+
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    res.attachment(`appointment-${appointment._id}.ics`);
+    return res.send(calendar);
+  } catch (err) {
+    return next(err);
+  }
+});
+
+export default router;
@@ -1,10 +1,56 @@
 import express from 'express';
 import bcrypt from 'bcryptjs';
-import jwt from 'jsonwebtoken';
 import User from '../models/User.js';
+import { authMiddleware } from '../middleware/auth.js';
+import { loginThrottle } from '../middleware/loginThrottle.js';
+import { recordLoginFailure, recordLoginSuccess } from '../services/loginThrottle/index.js';
+import { responseHandler } from '../utils/responseHandler.js';
+import {
+  createSession,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeAllSessions,
+  generateToken,
+  hashToken
+} from '../services/tokenService.js';
+import { sendMail, clientUrl } from '../services/mail/index.js';
+import { verificationEmail, passwordResetEmail, passwordChangedEmail } from '../services/mail/templates.js';
+import { validationUtils } from '../utils/validation.js';
+import { permissionsForRole } from '../utils/permissions.js';
 
 const router = express.Router();
 
+// Client details recorded on each refresh token
+const sessionContext = (req) => ({ ip: req.ip, userAgent: req.get('user-agent') });
+
+const passwordResetMinutes = () => parseInt(process.env.PASSWORD_RESET_EXPIRES_MINUTES) || 60;
+
+const verificationHours = () => parseInt(process.env.EMAIL_VERIFICATION_EXPIRES_HOURS) || 48;
+
+// Profile fields a user may change about themselves
+const PROFILE_FIELDS = ['name', 'phone', 'address'];
+
+// Minimum gap between two verification emails for the same user
+const VERIFICATION_RESEND_INTERVAL_MS = 60 * 1000;
+
+// Issue a fresh verification token and email the link to the user
+const sendVerificationEmail = async (user) => {
+  const { token, tokenHash } = generateToken();
+  user.emailVerificationTokenHash = tokenHash;
+  user.emailVerificationExpires = new Date(Date.now() + verificationHours() * 60 * 60 * 1000);
+  user.emailVerificationSentAt = new Date();
+  await user.save();
+
+  await sendMail({
+    to: user.email,
+    ...verificationEmail({
+      name: user.name,
+      verifyUrl: clientUrl('/verify-email', { token }),
+      expiresInHours: verificationHours()
+    })
+  });
+};
+
 /**
  * @swagger
  * tags:
@@ -69,17 +115,20 @@ router.post('/signup', async (req, res) => {
       role: 'user',
     });
 
-    // Generate token
-    const token = jwt.sign(
-      { id: user._id, email: user.email, role: user.role },
-      process.env.JWT_SECRET,
-      { expiresIn: '7d' }
-    );
+    // Ask the user to prove they own the address
+    try {
+      await sendVerificationEmail(user);
+    } catch (err) {
+      console.error('Error sending verification email:', err);
+    }
+
+    // Start a session
+    const tokens = await createSession(user, sessionContext(req));
 
     res.status(201).json({
       success: true,
-      token,
-      user: { id: user._id, email: user.email, name: user.name, role: user.role },
+      ...tokens,
+      user: { id: user._id, email: user.email, name: user.name, role: user.role, emailVerified: user.emailVerified },
     });
   } catch (err) {
     res.status(500).json({ success: false, message: err.message });
@@ -122,40 +171,583 @@ router.post('/signup', async (req, res) => {
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Account is deactivated
+ *       429:
+ *         description: Too many failed attempts; see the Retry-After header
  *       500:
  *         description: Internal server error
  */
-router.post('/login', async (req, res) => {
+router.post('/login', loginThrottle, async (req, res) => {
   try {
     const { email, password } = req.body;
+    const attempt = { email, ip: req.ip };
+
+    if (typeof email !== 'string' || typeof password !== 'string') {
+      return res.status(400).json({ success: false, message: 'Invalid email or password' });
+    }
 
     // Find user
     const user = await User.findOne({ email });
     if (!user) {
+      await recordLoginFailure(attempt);
       return res.status(400).json({ success: false, message: 'Invalid email or password' });
     }
 
     // Check password
     const isPasswordValid = await bcrypt.compare(password, user.passwordHash);
     if (!isPasswordValid) {
+      await recordLoginFailure(attempt);
       return res.status(400).json({ success: false, message: 'Invalid email or password' });
     }
 
-    // Generate token
-    const token = jwt.sign(
-      { id: user._id, email: user.email, role: user.role },
-      process.env.JWT_SECRET,
-      { expiresIn: '7d' }
-    );
+    await recordLoginSuccess(attempt);
+
+    // Deactivated accounts cannot sign in
+    if (!user.isActive) {
+      return res.status(403).json({ success: false, message: 'Account is deactivated' });
+    }
+
+    // Start a session
+    const tokens = await createSession(user, sessionContext(req));
+
+    res.json({
+      success: true,
+      ...tokens,
+      user: { id: user._id, email: user.email, name: user.name, role: user.role, emailVerified: user.emailVerified },
+    });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/refresh:
+ *   post:
+ *     summary: Exchange a refresh token for a new access/refresh token pair
+ *     description: Refresh tokens are single-use. Presenting one that was already used revokes the whole session.
+ *     tags: [Authentication]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [refreshToken]
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: New token pair issued
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AuthResponse'
+ *       400:
+ *         description: Refresh token missing
+ *       401:
+ *         description: Refresh token invalid, expired or reused
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/refresh', async (req, res) => {
+  try {
+    const { user, ...tokens } = await rotateRefreshToken(req.body.refreshToken, sessionContext(req));
+
+    res.json({
+      success: true,
+      ...tokens,
+      user: { id: user._id, email: user.email, name: user.name, role: user.role, emailVerified: user.emailVerified },
+    });
+  } catch (err) {
+    res.status(err.statusCode || 500).json({ success: false, message: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/logout:
+ *   post:
+ *     summary: Log out by revoking the session of a refresh token
+ *     tags: [Authentication]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [refreshToken]
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Logged out
+ *       400:
+ *         description: Refresh token missing
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/logout', async (req, res) => {
+  try {
+    await revokeRefreshToken(req.body.refreshToken);
+
+    res.json({ success: true, message: 'Logged out' });
+  } catch (err) {
+    res.status(err.statusCode || 500).json({ success: false, message: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/logout-all:
+ *   post:
+ *     summary: Log out of all devices by revoking every session of the current user
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: All sessions revoked
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/logout-all', authMiddleware, async (req, res) => {
+  try {
+    await revokeAllSessions(req.user.id, 'logout_all');
+
+    res.json({ success: true, message: 'Logged out of all devices' });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/forgot-password:
+ *   post:
+ *     summary: Email a password reset link
+ *     description: Always answers with the same message so it cannot be used to discover registered emails.
+ *     tags: [Authentication]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [email]
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *     responses:
+ *       200:
+ *         description: Reset link sent if the account exists
+ *       400:
+ *         description: Invalid email
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/forgot-password', async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (typeof email !== 'string' || !validationUtils.validateEmail(email)) {
+      return res.status(400).json({ success: false, message: 'A valid email is required' });
+    }
+
+    const user = await User.findOne({ email: email.toLowerCase().trim() });
+
+    if (user && user.isActive) {
+      // A new request replaces any outstanding token
+      const { token, tokenHash } = generateToken();
+      user.passwordResetTokenHash = tokenHash;
+      user.passwordResetExpires = new Date(Date.now() + passwordResetMinutes() * 60 * 1000);
+      await user.save();
+
+      try {
+        await sendMail({
+          to: user.email,
+          ...passwordResetEmail({
+            name: user.name,
+            resetUrl: clientUrl('/reset-password', { token }),
+            expiresInMinutes: passwordResetMinutes()
+          })
+        });
+      } catch (err) {
+        console.error('Error sending password reset email:', err);
+      }
+    }
 
     res.json({
       success: true,
-      token,
-      user: { id: user._id, email: user.email, name: user.name, role: user.role },
+      message: 'If an account exists for that email, a password reset link has been sent'
     });
   } catch (err) {
     res.status(500).json({ success: false, message: err.message });
   }
 });
 
+/**
+ * @swagger
+ * /api/auth/reset-password:
+ *   post:
+ *     summary: Set a new password using a reset token
+ *     description: The token is single-use. All existing sessions are revoked.
+ *     tags: [Authentication]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [token, password]
+ *             properties:
+ *               token:
+ *                 type: string
+ *               password:
+ *                 type: string
+ *                 format: password
+ *                 minLength: 6
+ *     responses:
+ *       200:
+ *         description: Password reset
+ *       400:
+ *         description: Invalid or expired token, or weak password
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/reset-password', async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    if (typeof token !== 'string' || !token) {
+      return res.status(400).json({ success: false, message: 'Reset token is required' });
+    }
+    if (typeof password !== 'string' || !validationUtils.validatePassword(password)) {
+      return res.status(400).json({ success: false, message: 'Password must be at least 6 characters' });
+    }
+
+    const passwordHash = await bcrypt.hash(password, 10);
+
+    // Match and consume the token in one step so it cannot be used twice
+    const user = await User.findOneAndUpdate(
+      {
+        passwordResetTokenHash: hashToken(token),
+        passwordResetExpires: { $gt: new Date() }
+      },
+      {
+        passwordHash,
+        $unset: { passwordResetTokenHash: '', passwordResetExpires: '' }
+      },
+      { new: true }
+    );
+
+    if (!user) {
+      return res.status(400).json({ success: false, message: 'Invalid or expired reset token' });
+    }
+
+    await revokeAllSessions(user._id, 'password_reset');
+
+    try {
+      await sendMail({ to: user.email, ...passwordChangedEmail({ name: user.name }) });
+    } catch (err) {
+      console.error('Error sending password changed email:', err);
+    }
+
+    res.json({ success: true, message: 'Password has been reset. Please log in with your new password' });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/verify-email:
+ *   post:
+ *     summary: Confirm an email address using the token from the verification email
+ *     tags: [Authentication]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [token]
+ *             properties:
+ *               token:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Email verified
+ *       400:
+ *         description: Invalid or expired token
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/verify-email', async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    if (typeof token !== 'string' || !token) {
+      return res.status(400).json({ success: false, message: 'Verification token is required' });
+    }
+
+    // Match and consume the token in one step so it cannot be used twice
+    const user = await User.findOneAndUpdate(
+      {
+        emailVerificationTokenHash: hashToken(token),
+        emailVerificationExpires: { $gt: new Date() }
+      },
+      {
+        emailVerified: true,
+        emailVerifiedAt: new Date(),
+        $unset: { emailVerificationTokenHash: '', emailVerificationExpires: '' }
+      },
+      { new: true }
+    );
+
+    if (!user) {
+      return res.status(400).json({ success: false, message: 'Invalid or expired verification token' });
+    }
+
+    res.json({ success: true, message: 'Email verified' });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/resend-verification:
+ *   post:
+ *     summary: Send a new verification email to the current user
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Verification email sent
+ *       400:
+ *         description: Email already verified
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       429:
+ *         description: A verification email was sent too recently
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/resend-verification', authMiddleware, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select('+emailVerificationSentAt');
+    if (!user) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+
+    if (user.emailVerified) {
+      return res.status(400).json({ success: false, message: 'Email is already verified' });
+    }
+
+    const sentAt = user.emailVerificationSentAt;
+    if (sentAt && Date.now() - sentAt.getTime() < VERIFICATION_RESEND_INTERVAL_MS) {
+      const retryAfter = Math.ceil((sentAt.getTime() + VERIFICATION_RESEND_INTERVAL_MS - Date.now()) / 1000);
+      return responseHandler.tooManyRequests(res, 'Please wait before requesting another verification email', retryAfter);
+    }
+
+    await sendVerificationEmail(user);
+
+    res.json({ success: true, message: 'Verification email sent' });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/me:
+ *   get:
+ *     summary: Get the current user's profile
+ *     description: Includes the permissions granted by the user's role.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Profile retrieved successfully
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       404:
+ *         description: User not found
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/me', authMiddleware, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+
+    res.json({ success: true, data: { ...user.toJSON(), permissions: permissionsForRole(user.role) } });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/me:
+ *   patch:
+ *     summary: Update the current user's profile
+ *     description: Only name, phone and address can be changed here; any other fields are ignored.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               phone:
+ *                 type: string
+ *               address:
+ *                 type: string
+ *           example:
+ *             phone: "+1234567890"
+ *             address: "456 Oak Ave, City, Country"
+ *     responses:
+ *       200:
+ *         description: Profile updated successfully
+ *       400:
+ *         description: No updatable fields provided
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       422:
+ *         description: Validation failed
+ *       500:
+ *         description: Internal server error
+ */
+router.patch('/me', authMiddleware, async (req, res) => {
+  try {
+    // Whitelist: role, isActive, email etc. can never be self-assigned
+    const updates = {};
+    for (const field of PROFILE_FIELDS) {
+      if (req.body[field] !== undefined) {
+        updates[field] = req.body[field];
+      }
+    }
+
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Provide at least one of: ${PROFILE_FIELDS.join(', ')}`
+      });
+    }
+
+    const user = await User.findByIdAndUpdate(req.user.id, updates, {
+      new: true,
+      runValidators: true
+    });
+    if (!user) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+
+    res.json({ success: true, data: user });
+  } catch (err) {
+    if (err.name === 'ValidationError') {
+      const errors = Object.values(err.errors).map(e => ({ field: e.path, message: e.message }));
+      return res.status(422).json({ success: false, message: 'Validation failed', errors });
+    }
+    res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/change-password:
+ *   post:
+ *     summary: Change the current user's password
+ *     description: Requires the current password. Every other session is logged out.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [currentPassword, newPassword]
+ *             properties:
+ *               currentPassword:
+ *                 type: string
+ *                 format: password
+ *               newPassword:
+ *                 type: string
+ *                 format: password
+ *                 minLength: 6
+ *     responses:
+ *       200:
+ *         description: Password changed
+ *       400:
+ *         description: Current password incorrect or new password too weak
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/change-password', authMiddleware, async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    if (typeof currentPassword !== 'string' || !currentPassword) {
+      return res.status(400).json({ success: false, message: 'Current password is required' });
+    }
+    if (typeof newPassword !== 'string' || !validationUtils.validatePassword(newPassword)) {
+      return res.status(400).json({ success: false, message: 'New password must be at least 6 characters' });
+    }
+
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+
+    const isPasswordValid = await bcrypt.compare(currentPassword, user.passwordHash);
+    if (!isPasswordValid) {
+      return res.status(400).json({ success: false, message: 'Current password is incorrect' });
+    }
+
+    user.passwordHash = await bcrypt.hash(newPassword, 10);
+    user.passwordResetTokenHash = undefined;
+    user.passwordResetExpires = undefined;
+    await user.save();
+
+    // Keep the caller signed in, log out everywhere else
+    await revokeAllSessions(user._id, 'password_change', { except: req.user.sid });
+
+    try {
+      await sendMail({ to: user.email, ...passwordChangedEmail({ name: user.name }) });
+    } catch (err) {
+      console.error('Error sending password changed email:', err);
+    }
+
+    res.json({ success: true, message: 'Password changed. Other sessions have been logged out' });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+});
+
 export default router;
\ No newline at end of file
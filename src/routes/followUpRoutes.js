@@ -0,0 +1,434 @@
+import express from 'express';
+import FollowUp, { WELLBEING_LEVELS, ISSUE_TYPES, FLAGGED_WELLBEING } from '../models/FollowUp.js';
+import { PHOTO_SIZES } from '../models/Pet.js';
+import { authMiddleware, requirePermission } from '../middleware/auth.js';
+import { createUpload, uploadErrorHandler, MB } from '../middleware/upload.js';
+import { PERMISSIONS, hasPermission } from '../utils/permissions.js';
+import { responseHandler } from '../utils/responseHandler.js';
+import { validationUtils } from '../utils/validation.js';
+import { getStorage } from '../services/storage/index.js';
+import { removePhotos, resolvePhotoImage } from '../services/petPhotos.js';
+import { isOpen, isOverdue, overdueFilter, storeFollowUpPhoto } from '../services/followUps.js';
+
+const router = express.Router();
+
+const MAX_PHOTO_SIZE = 5 * MB;
+
+const upload = createUpload({
+  accept: mimetype => mimetype.startsWith('image/'),
+  rejectMessage: 'Only image files allowed',
+  maxFileSize: MAX_PHOTO_SIZE
+});
+
+const handleMulterError = uploadErrorHandler({
+  maxFileSize: MAX_PHOTO_SIZE,
+  tooManyFiles: 'Only one photo can be attached'
+});
+
+// Staff list views
+const VIEWS = {
+  // Overdue, or flagged and not yet reviewed
+  attention: (now) => ({ $or: [overdueFilter(now), { flagged: true, reviewedAt: null }] }),
+  overdue: (now) => overdueFilter(now),
+  flagged: () => ({ flagged: true, reviewedAt: null }),
+  due: (now) => ({ status: 'scheduled', dueAt: { $lte: now } }),
+  submitted: () => ({ status: 'submitted' }),
+  all: () => ({})
+};
+
+// Check-in as returned to clients, with computed state
+const present = (followUp, now = new Date()) => ({
+  ...followUp.toJSON(),
+  isOpen: isOpen(followUp, now),
+  isOverdue: isOverdue(followUp, now)
+});
+
+// Load a check-in for its adopter or for staff (follow-ups:manage),
+// answering 400/404 itself
+const findFollowUpForViewer = async (req, res) => {
+  if (!validationUtils.validateObjectId(req.params.id)) {
+    responseHandler.error(res, 'Invalid check-in ID format', 400);
+    return null;
+  }
+
+  const followUp = await FollowUp.findById(req.params.id).populate('petId', 'name species');
+  const isAdopter = followUp && String(followUp.adopterId) === String(req.user.id);
+  const isStaff = hasPermission(req.user.role, PERMISSIONS.FOLLOW_UPS_MANAGE);
+  if (!followUp || (!isAdopter && !isStaff)) {
+    responseHandler.notFound(res, 'Check-in');
+    return null;
+  }
+  return { followUp, isAdopter };
+};
+
+/**
+ * @swagger
+ * tags:
+ *   name: FollowUps
+ *   description: Post-adoption check-ins (1 week, 1 month and 6 months after adoption)
+ */
+
+/**
+ * @swagger
+ * /api/follow-ups/my:
+ *   get:
+ *     summary: Get your post-adoption check-ins
+ *     tags: [FollowUps]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Check-ins retrieved successfully
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ */
+router.get('/my', authMiddleware, async (req, res) => {
+  try {
+    const followUps = await FollowUp.find({ adopterId: req.user.id, status: { $ne: 'cancelled' } })
+      .populate('petId', 'name species')
+      .sort({ dueAt: 1 });
+
+    const now = new Date();
+    return res.json({ success: true, data: followUps.map(followUp => present(followUp, now)) });
+  } catch (err) {
+    console.error('Error fetching check-ins:', err);
+    return responseHandler.error(res, err.message);
+  }
+});
+
+/**
+ * @swagger
+ * /api/follow-ups:
+ *   get:
+ *     summary: List check-ins for staff review (requires follow-ups:manage)
+ *     tags: [FollowUps]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: view
+ *         schema:
+ *           type: string
+ *           enum: [attention, overdue, flagged, due, submitted, all]
+ *           default: attention
+ *         description: attention = overdue or flagged and not yet reviewed
+ *       - in: query
+ *         name: petId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: Check-ins retrieved successfully
+ *       400:
+ *         description: Unknown view or invalid pet ID
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         description: Missing permission
+ */
+router.get('/', authMiddleware, requirePermission(PERMISSIONS.FOLLOW_UPS_MANAGE), async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+    const view = req.query.view || 'attention';
+    if (!VIEWS[view]) {
+      return responseHandler.error(res, `View must be one of: ${Object.keys(VIEWS).join(', ')}`, 400);
+    }
+
+    const now = new Date();
+    const filter = VIEWS[view](now);
+    if (req.query.petId) {
+      if (!validationUtils.validateObjectId(String(req.query.petId))) {
+        return responseHandler.error(res, 'Invalid pet ID format', 400);
+      }
+      filter.petId = String(req.query.petId);
+    }
+
+    const [followUps, total] = await Promise.all([
+      FollowUp.find(filter)
+        .populate('petId', 'name species')
+        .populate('adopterId', 'name email phone')
+        .sort({ dueAt: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      FollowUp.countDocuments(filter)
+    ]);
+
+    return res.json({
+      success: true,
+      data: followUps.map(followUp => present(followUp, now)),
+      currentPage: page,
+      totalPages: Math.ceil(total / limit),
+      totalFollowUps: total,
+    });
+  } catch (err) {
+    console.error('Error fetching check-ins:', err);
+    return responseHandler.error(res, err.message);
+  }
+});
+
+/**
+ * @swagger
+ * /api/follow-ups/{id}:
+ *   get:
+ *     summary: Get a check-in (its adopter or follow-ups:manage)
+ *     tags: [FollowUps]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Check-in retrieved successfully
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.get('/:id', authMiddleware, async (req, res) => {
+  try {
+    const found = await findFollowUpForViewer(req, res);
+    if (!found) return;
+
+    return responseHandler.success(res, present(found.followUp), 'Check-in retrieved successfully');
+  } catch (err) {
+    console.error('Error fetching check-in:', err);
+    return responseHandler.error(res, err.message);
+  }
+});
+
+/**
+ * @swagger
+ * /api/follow-ups/{id}/submit:
+ *   post:
+ *     summary: Fill in a check-in (adopter only)
+ *     description: Opens a few days before the due date. Reporting issues or concerns flags the check-in for staff.
+ *     tags: [FollowUps]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required: [wellbeing]
+ *             properties:
+ *               wellbeing:
+ *                 type: string
+ *                 enum: [great, good, some_concerns, serious_concerns]
+ *               issues:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [health, behavior, feeding, house_training, other_pets, children, other]
+ *               notes:
+ *                 type: string
+ *               photo:
+ *                 type: string
+ *                 format: binary
+ *     responses:
+ *       200:
+ *         description: Check-in submitted
+ *       400:
+ *         description: Invalid answers or photo
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       409:
+ *         description: Check-in not open yet, already submitted or cancelled
+ */
+router.post('/:id/submit', authMiddleware, upload.single('photo'), handleMulterError, async (req, res) => {
+  try {
+    const found = await findFollowUpForViewer(req, res);
+    if (!found) return;
+    const { followUp, isAdopter } = found;
+
+    if (!isAdopter) {
+      return responseHandler.error(res, 'Only the adopter can fill in a check-in', 403);
+    }
+    if (followUp.status !== 'scheduled') {
+      return responseHandler.error(res, `Check-in is already ${followUp.status}`, 409);
+    }
+    if (!isOpen(followUp)) {
+      return responseHandler.error(res, 'Check-in is not open yet', 409);
+    }
+
+    const { wellbeing, notes } = req.body;
+    if (!WELLBEING_LEVELS.includes(wellbeing)) {
+      return responseHandler.error(res, `Wellbeing must be one of: ${WELLBEING_LEVELS.join(', ')}`, 400);
+    }
+
+    // Multipart sends repeated fields or a comma-separated list
+    const rawIssues = req.body.issues || [];
+    const issues = [...new Set((Array.isArray(rawIssues) ? rawIssues : String(rawIssues).split(','))
+      .map(issue => String(issue).trim())
+      .filter(Boolean))];
+    const unknown = issues.filter(issue => !ISSUE_TYPES.includes(issue));
+    if (unknown.length > 0) {
+      return responseHandler.error(res, `Unknown issue type: ${unknown.join(', ')}`, 400);
+    }
+
+    const photo = req.file ? await storeFollowUpPhoto(followUp, req.file) : null;
+
+    followUp.status = 'submitted';
+    followUp.submittedAt = new Date();
+    followUp.wellbeing = wellbeing;
+    followUp.issues = issues;
+    followUp.notes = notes;
+    followUp.photo = photo;
+    followUp.flagged = issues.length > 0 || FLAGGED_WELLBEING.includes(wellbeing);
+
+    try {
+      await followUp.save();
+    } catch (err) {
+      if (photo) await removePhotos([photo]);
+      throw err;
+    }
+
+    return responseHandler.success(res, present(followUp), 'Check-in submitted successfully');
+  } catch (err) {
+    console.error('Error submitting check-in:', err);
+    return responseHandler.error(res, err.message, err.statusCode || 500);
+  }
+});
+
+/**
+ * @swagger
+ * /api/follow-ups/{id}/photo:
+ *   get:
+ *     summary: Get the photo attached to a check-in (its adopter or follow-ups:manage)
+ *     tags: [FollowUps]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: size
+ *         schema:
+ *           type: string
+ *           enum: [thumbnail, medium, large]
+ *     responses:
+ *       200:
+ *         description: The photo
+ *         content:
+ *           image/*:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.get('/:id/photo', authMiddleware, async (req, res) => {
+  try {
+    const { size } = req.query;
+    if (size && !PHOTO_SIZES.includes(size)) {
+      return responseHandler.error(res, `Size must be one of: ${PHOTO_SIZES.join(', ')}`, 400);
+    }
+
+    const found = await findFollowUpForViewer(req, res);
+    if (!found) return;
+    if (!found.followUp.photo) {
+      return responseHandler.notFound(res, 'Photo');
+    }
+
+    const image = resolvePhotoImage(found.followUp.photo, size);
+    const object = await getStorage().get(image.key);
+    if (!object) {
+      return responseHandler.notFound(res, 'Photo');
+    }
+
+    res.set('Content-Type', image.contentType || 'application/octet-stream');
+    if (object.size) {
+      res.set('Content-Length', String(object.size));
+    }
+    res.set('Cache-Control', 'private, max-age=86400');
+
+    object.stream.on('error', (err) => {
+      console.error('Error streaming check-in photo:', err);
+      res.destroy(err);
+    });
+    object.stream.pipe(res);
+  } catch (err) {
+    console.error('Error fetching check-in photo:', err);
+    return responseHandler.error(res, err.message);
+  }
+});
+
+/**
+ * @swagger
+ * /api/follow-ups/{id}/review:
+ *   put:
+ *     summary: Mark a check-in reviewed (requires follow-ups:manage)
+ *     tags: [FollowUps]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               staffNotes:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Check-in reviewed
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       409:
+ *         description: Check-in has not been submitted
+ */
+router.put('/:id/review', authMiddleware, requirePermission(PERMISSIONS.FOLLOW_UPS_MANAGE), async (req, res) => {
+  try {
+    const found = await findFollowUpForViewer(req, res);
+    if (!found) return;
+    const { followUp } = found;
+
+    if (followUp.status !== 'submitted') {
+      return responseHandler.error(res, 'Only submitted check-ins can be reviewed', 409);
+    }
+
+    followUp.reviewedAt = new Date();
+    followUp.reviewedBy = req.user.id;
+    followUp.staffNotes = req.body.staffNotes;
+    await followUp.save();
+
+    return responseHandler.success(res, present(followUp), 'Check-in reviewed successfully');
+  } catch (err) {
+    console.error('Error reviewing check-in:', err);
+    return responseHandler.error(res, err.message);
+  }
+});
+
+export default router;
@@ -0,0 +1,650 @@
+import express from 'express';
+import FosterApplication, { FOSTER_APPLICATION_STATUSES } from '../models/FosterApplication.js';
+import FosterPlacement, { PLACEMENT_STATUSES } from '../models/FosterPlacement.js';
+import { authMiddleware, requirePermission } from '../middleware/auth.js';
+import { PERMISSIONS } from '../utils/permissions.js';
+import { responseHandler } from '../utils/responseHandler.js';
+import { validationUtils } from '../utils/validation.js';
+import {
+  applyToFoster,
+  reviewFosterApplication,
+  withdrawFosterApplication,
+  canAccessPlacement,
+  startPlacement,
+  endPlacement,
+  transferPlacement,
+  addPlacementUpdate
+} from '../services/fostering.js';
+
+const router = express.Router();
+
+// Answer 400 for a malformed ID; returns whether every value was valid
+const checkIds = (res, ids, label) => {
+  if (ids.some(id => !validationUtils.validateObjectId(String(id)))) {
+    responseHandler.error(res, `Invalid ${label} ID format`, 400);
+    return false;
+  }
+  return true;
+};
+
+// Page/limit query parameters, as in the other staff lists
+const parsePage = (query) => ({
+  page: Math.max(parseInt(query.page) || 1, 1),
+  limit: Math.min(Math.max(parseInt(query.limit) || 20, 1), 100)
+});
+
+/**
+ * @swagger
+ * tags:
+ *   name: Fosters
+ *   description: Foster-parent applications and foster placements
+ */
+
+/**
+ * @swagger
+ * /api/fosters/applications:
+ *   post:
+ *     summary: Apply to become a foster parent
+ *     tags: [Fosters]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [housingType]
+ *             properties:
+ *               housingType:
+ *                 type: string
+ *                 enum: [house, apartment, farm, other]
+ *               hasYard:
+ *                 type: boolean
+ *               hasChildren:
+ *                 type: boolean
+ *               otherPets:
+ *                 type: string
+ *               experience:
+ *                 type: string
+ *               speciesPreferences:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Species you are willing to foster; empty means any
+ *               capacity:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 10
+ *                 default: 1
+ *               availability:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Foster application submitted
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       409:
+ *         description: You already have a pending or approved application
+ *       422:
+ *         description: Invalid application
+ */
+router.post('/applications', authMiddleware, async (req, res, next) => {
+  try {
+    const application = await applyToFoster(req.body, req.user);
+
+    return responseHandler.success(res, application, 'Foster application submitted successfully', 201);
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/fosters/applications/my:
+ *   get:
+ *     summary: Get your foster applications
+ *     tags: [Fosters]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Foster applications retrieved successfully
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ */
+router.get('/applications/my', authMiddleware, async (req, res, next) => {
+  try {
+    const applications = await FosterApplication.find({ userId: req.user.id }).sort({ createdAt: -1 });
+
+    return res.json({ success: true, data: applications });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/fosters/applications:
+ *   get:
+ *     summary: List foster applications (requires fosters:manage)
+ *     tags: [Fosters]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, approved, rejected, withdrawn]
+ *           default: pending
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: Foster applications retrieved successfully
+ *       400:
+ *         description: Unknown status
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         description: Missing permission
+ */
+router.get('/applications', authMiddleware, requirePermission(PERMISSIONS.FOSTERS_MANAGE), async (req, res, next) => {
+  try {
+    const { page, limit } = parsePage(req.query);
+
+    const status = req.query.status || 'pending';
+    if (!FOSTER_APPLICATION_STATUSES.includes(status)) {
+      return responseHandler.error(res, `Status must be one of: ${FOSTER_APPLICATION_STATUSES.join(', ')}`, 400);
+    }
+
+    const [applications, total] = await Promise.all([
+      FosterApplication.find({ status })
+        .populate('userId', 'name email phone')
+        .sort({ createdAt: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      FosterApplication.countDocuments({ status })
+    ]);
+
+    return res.json({
+      success: true,
+      data: applications,
+      currentPage: page,
+      totalPages: Math.ceil(total / limit),
+      totalApplications: total,
+    });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/fosters/applications/{id}/review:
+ *   put:
+ *     summary: Approve or reject a foster application (requires fosters:manage)
+ *     description: Rejecting an approved application revokes the user's foster status; they must have no active placements.
+ *     tags: [Fosters]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [decision]
+ *             properties:
+ *               decision:
+ *                 type: string
+ *                 enum: [approved, rejected]
+ *               reviewNotes:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Foster application reviewed
+ *       400:
+ *         description: Invalid ID or decision
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       409:
+ *         description: Already decided, or the foster still has placements
+ */
+router.put('/applications/:id/review', authMiddleware, requirePermission(PERMISSIONS.FOSTERS_MANAGE), async (req, res, next) => {
+  try {
+    if (!checkIds(res, [req.params.id], 'foster application')) return;
+
+    const application = await reviewFosterApplication(req.params.id, req.user, {
+      decision: req.body.decision,
+      reviewNotes: req.body.reviewNotes
+    });
+
+    return responseHandler.success(res, application, 'Foster application reviewed successfully');
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/fosters/applications/{id}/withdraw:
+ *   put:
+ *     summary: Withdraw your foster application, or stop fostering
+ *     tags: [Fosters]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Foster application withdrawn
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       409:
+ *         description: Already closed, or animals are still in your care
+ */
+router.put('/applications/:id/withdraw', authMiddleware, async (req, res, next) => {
+  try {
+    if (!checkIds(res, [req.params.id], 'foster application')) return;
+
+    const application = await withdrawFosterApplication(req.params.id, req.user);
+
+    return responseHandler.success(res, application, 'Foster application withdrawn successfully');
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/fosters/placements/my:
+ *   get:
+ *     summary: Get the animals in your foster care
+ *     tags: [Fosters]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: includeEnded
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Also return past placements
+ *     responses:
+ *       200:
+ *         description: Placements retrieved successfully
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ */
+router.get('/placements/my', authMiddleware, async (req, res, next) => {
+  try {
+    const filter = { fosterId: req.user.id };
+    if (req.query.includeEnded !== 'true') {
+      filter.status = 'active';
+    }
+
+    const placements = await FosterPlacement.find(filter)
+      .populate('petId', 'name species breed age healthStatus photos coverPhotoId')
+      .sort({ status: 1, startDate: -1 });
+
+    return res.json({ success: true, data: placements });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/fosters/placements:
+ *   get:
+ *     summary: List foster placements (requires fosters:manage)
+ *     tags: [Fosters]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [active, ended]
+ *           default: active
+ *       - in: query
+ *         name: fosterId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: petId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: Placements retrieved successfully
+ *       400:
+ *         description: Unknown status or invalid ID
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         description: Missing permission
+ */
+router.get('/placements', authMiddleware, requirePermission(PERMISSIONS.FOSTERS_MANAGE), async (req, res, next) => {
+  try {
+    const { page, limit } = parsePage(req.query);
+
+    const status = req.query.status || 'active';
+    if (!PLACEMENT_STATUSES.includes(status)) {
+      return responseHandler.error(res, `Status must be one of: ${PLACEMENT_STATUSES.join(', ')}`, 400);
+    }
+    const filter = { status };
+    for (const field of ['fosterId', 'petId']) {
+      if (req.query[field]) {
+        if (!checkIds(res, [req.query[field]], field === 'fosterId' ? 'foster' : 'pet')) return;
+        filter[field] = String(req.query[field]);
+      }
+    }
+
+    const [placements, total] = await Promise.all([
+      FosterPlacement.find(filter)
+        .populate('petId', 'name species status')
+        .populate('fosterId', 'name email phone')
+        .sort({ startDate: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      FosterPlacement.countDocuments(filter)
+    ]);
+
+    return res.json({
+      success: true,
+      data: placements,
+      currentPage: page,
+      totalPages: Math.ceil(total / limit),
+      totalPlacements: total,
+    });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/fosters/placements:
+ *   post:
+ *     summary: Place a pet with an approved foster (requires fosters:manage)
+ *     description: The pet must be available or not_available and becomes fostered. The foster must have room (their approved capacity) and take the pet's species.
+ *     tags: [Fosters]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [petId, fosterId]
+ *             properties:
+ *               petId:
+ *                 type: string
+ *               fosterId:
+ *                 type: string
+ *               startDate:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Defaults to now
+ *               expectedEndDate:
+ *                 type: string
+ *                 format: date-time
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Placement created
+ *       400:
+ *         description: Invalid IDs, not an approved foster, or species not accepted
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       409:
+ *         description: Pet already placed or not eligible, or foster at capacity
+ *       422:
+ *         description: Invalid dates
+ */
+router.post('/placements', authMiddleware, requirePermission(PERMISSIONS.FOSTERS_MANAGE), async (req, res, next) => {
+  try {
+    const { petId, fosterId, startDate, expectedEndDate, notes } = req.body;
+    if (!checkIds(res, [petId, fosterId], 'pet or foster')) return;
+
+    const placement = await startPlacement({ petId, fosterId, startDate, expectedEndDate, notes }, req.user);
+
+    return responseHandler.success(res, placement, 'Placement created successfully', 201);
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/fosters/placements/{id}:
+ *   get:
+ *     summary: Get a placement with its updates (its foster or fosters:manage)
+ *     tags: [Fosters]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Placement retrieved successfully
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.get('/placements/:id', authMiddleware, async (req, res, next) => {
+  try {
+    if (!checkIds(res, [req.params.id], 'placement')) return;
+
+    const placement = await FosterPlacement.findById(req.params.id)
+      .populate('petId', 'name species breed age healthStatus status photos coverPhotoId')
+      .populate('fosterId', 'name email phone')
+      .populate('updates.authorId', 'name');
+    if (!placement || !canAccessPlacement(placement, req.user)) {
+      return responseHandler.notFound(res, 'Placement');
+    }
+
+    return responseHandler.success(res, placement, 'Placement retrieved successfully');
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/fosters/placements/{id}/updates:
+ *   post:
+ *     summary: Post a progress update on an active placement (its foster or fosters:manage)
+ *     tags: [Fosters]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [note]
+ *             properties:
+ *               note:
+ *                 type: string
+ *               weightKg:
+ *                 type: number
+ *     responses:
+ *       201:
+ *         description: Update added
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       409:
+ *         description: Placement has ended
+ *       422:
+ *         description: Invalid update
+ */
+router.post('/placements/:id/updates', authMiddleware, async (req, res, next) => {
+  try {
+    if (!checkIds(res, [req.params.id], 'placement')) return;
+
+    const placement = await addPlacementUpdate(req.params.id, req.user, {
+      note: req.body.note,
+      weightKg: req.body.weightKg
+    });
+
+    return responseHandler.success(res, placement, 'Update added successfully', 201);
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/fosters/placements/{id}/end:
+ *   put:
+ *     summary: End a placement and bring the pet back (requires fosters:manage)
+ *     tags: [Fosters]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [available, not_available]
+ *                 default: available
+ *                 description: The pet's status once back
+ *               reason:
+ *                 type: string
+ *                 enum: [completed, foster_request, health, behavior, other]
+ *                 default: completed
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Placement ended
+ *       400:
+ *         description: Invalid ID or status
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       409:
+ *         description: Placement has already ended
+ */
+router.put('/placements/:id/end', authMiddleware, requirePermission(PERMISSIONS.FOSTERS_MANAGE), async (req, res, next) => {
+  try {
+    if (!checkIds(res, [req.params.id], 'placement')) return;
+
+    const { status, reason, notes } = req.body;
+    const placement = await endPlacement(req.params.id, req.user, { status, reason, notes });
+
+    return responseHandler.success(res, placement, 'Placement ended successfully');
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/fosters/placements/{id}/transfer:
+ *   put:
+ *     summary: Move the pet to another approved foster (requires fosters:manage)
+ *     description: Ends this placement as transferred and returns the new placement, linked both ways. The pet stays fostered.
+ *     tags: [Fosters]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [fosterId]
+ *             properties:
+ *               fosterId:
+ *                 type: string
+ *               expectedEndDate:
+ *                 type: string
+ *                 format: date-time
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Placement transferred
+ *       400:
+ *         description: Invalid IDs, same foster, not an approved foster, or species not accepted
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       409:
+ *         description: Placement has ended, or the new foster is at capacity
+ */
+router.put('/placements/:id/transfer', authMiddleware, requirePermission(PERMISSIONS.FOSTERS_MANAGE), async (req, res, next) => {
+  try {
+    const { fosterId, expectedEndDate, notes } = req.body;
+    if (!checkIds(res, [req.params.id, fosterId], 'placement or foster')) return;
+
+    const placement = await transferPlacement(req.params.id, req.user, { fosterId, expectedEndDate, notes });
+
+    return responseHandler.success(res, placement, 'Placement transferred successfully');
+  } catch (err) {
+    return next(err);
+  }
+});
+
+export default router;
@@ -0,0 +1,468 @@
+import express from 'express';
+import IntakeRequest, { INTAKE_TYPES, INTAKE_STATUSES } from '../models/IntakeRequest.js';
+import { authMiddleware, requirePermission } from '../middleware/auth.js';
+import { PERMISSIONS, hasPermission } from '../utils/permissions.js';
+import { responseHandler } from '../utils/responseHandler.js';
+import { validationUtils } from '../utils/validation.js';
+import {
+  submitSurrender,
+  submitReturn,
+  acceptIntakeRequest,
+  declineIntakeRequest,
+  withdrawIntakeRequest
+} from '../services/intake.js';
+
+const router = express.Router();
+
+// Answer 400 for a malformed request ID; returns whether it was valid
+const checkId = (req, res) => {
+  if (!validationUtils.validateObjectId(req.params.id)) {
+    responseHandler.error(res, 'Invalid intake request ID format', 400);
+    return false;
+  }
+  return true;
+};
+
+/**
+ * @swagger
+ * tags:
+ *   name: Intake
+ *   description: Returns of adopted pets and surrenders from the public
+ */
+
+/**
+ * @swagger
+ * /api/intake/surrenders:
+ *   post:
+ *     summary: Ask the shelter to take in a pet you own
+ *     tags: [Intake]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [petDetails, reason]
+ *             properties:
+ *               petDetails:
+ *                 type: object
+ *                 required: [name, species, age, description]
+ *                 properties:
+ *                   name:
+ *                     type: string
+ *                   species:
+ *                     type: string
+ *                     enum: [dog, cat, bird, rabbit, hamster, guinea_pig, fish, reptile, other]
+ *                   breed:
+ *                     type: string
+ *                   age:
+ *                     type: string
+ *                     enum: [baby, young, adult, senior]
+ *                   size:
+ *                     type: string
+ *                     enum: [small, medium, large, extra_large]
+ *                   gender:
+ *                     type: string
+ *                     enum: [male, female, unknown]
+ *                   description:
+ *                     type: string
+ *                   temperament:
+ *                     type: array
+ *                     items:
+ *                       type: string
+ *               reason:
+ *                 type: string
+ *                 enum: [moving, housing_restrictions, allergies, behavior, cost, health, time, new_baby, other_pets, owner_health, other]
+ *               reasonDetails:
+ *                 type: string
+ *               background:
+ *                 type: object
+ *                 properties:
+ *                   ownedSince:
+ *                     type: string
+ *                     format: date
+ *                   livedWithChildren:
+ *                     type: boolean
+ *                   livedWithDogs:
+ *                     type: boolean
+ *                   livedWithCats:
+ *                     type: boolean
+ *                   houseTrained:
+ *                     type: boolean
+ *                   biteHistory:
+ *                     type: boolean
+ *                   notes:
+ *                     type: string
+ *               health:
+ *                 type: object
+ *                 properties:
+ *                   vaccinated:
+ *                     type: boolean
+ *                   spayedNeutered:
+ *                     type: boolean
+ *                   microchipped:
+ *                     type: boolean
+ *                   conditions:
+ *                     type: string
+ *                   medications:
+ *                     type: string
+ *                   vetName:
+ *                     type: string
+ *     responses:
+ *       201:
+ *         description: Surrender request submitted
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       422:
+ *         description: Invalid request
+ */
+router.post('/surrenders', authMiddleware, async (req, res, next) => {
+  try {
+    const request = await submitSurrender(req.body, req.user);
+
+    return responseHandler.success(res, request, 'Surrender request submitted successfully', 201);
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/intake/returns:
+ *   post:
+ *     summary: Ask to return a pet you adopted from the shelter
+ *     description: Takes the same reason, background and health fields as a surrender, plus the adopted pet's ID.
+ *     tags: [Intake]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [petId, reason]
+ *             properties:
+ *               petId:
+ *                 type: string
+ *               reason:
+ *                 type: string
+ *               reasonDetails:
+ *                 type: string
+ *               background:
+ *                 type: object
+ *               health:
+ *                 type: object
+ *     responses:
+ *       201:
+ *         description: Return request submitted
+ *       400:
+ *         description: Invalid pet ID
+ *       403:
+ *         description: You did not adopt this pet
+ *       409:
+ *         description: A return for this pet is already awaiting review
+ *       422:
+ *         description: Invalid request
+ */
+router.post('/returns', authMiddleware, async (req, res, next) => {
+  try {
+    if (!validationUtils.validateObjectId(String(req.body.petId))) {
+      return responseHandler.error(res, 'Invalid pet ID format', 400);
+    }
+
+    const request = await submitReturn(req.body, req.user);
+
+    return responseHandler.success(res, request, 'Return request submitted successfully', 201);
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/intake/my:
+ *   get:
+ *     summary: Get your return and surrender requests
+ *     tags: [Intake]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Requests retrieved successfully
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ */
+router.get('/my', authMiddleware, async (req, res, next) => {
+  try {
+    const requests = await IntakeRequest.find({ submittedBy: req.user.id })
+      .populate('petId', 'name species status')
+      .sort({ createdAt: -1 });
+
+    return res.json({ success: true, data: requests });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/intake:
+ *   get:
+ *     summary: List return and surrender requests (requires intake:manage)
+ *     tags: [Intake]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [return, surrender]
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [submitted, accepted, declined, withdrawn]
+ *           default: submitted
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: Requests retrieved successfully
+ *       400:
+ *         description: Unknown type or status
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         description: Missing permission
+ */
+router.get('/', authMiddleware, requirePermission(PERMISSIONS.INTAKE_MANAGE), async (req, res, next) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+    const status = req.query.status || 'submitted';
+    if (!INTAKE_STATUSES.includes(status)) {
+      return responseHandler.error(res, `Status must be one of: ${INTAKE_STATUSES.join(', ')}`, 400);
+    }
+    const filter = { status };
+    if (req.query.type) {
+      if (!INTAKE_TYPES.includes(req.query.type)) {
+        return responseHandler.error(res, `Type must be one of: ${INTAKE_TYPES.join(', ')}`, 400);
+      }
+      filter.type = req.query.type;
+    }
+
+    const [requests, total] = await Promise.all([
+      IntakeRequest.find(filter)
+        .populate('submittedBy', 'name email phone')
+        .populate('petId', 'name species status')
+        .sort({ createdAt: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      IntakeRequest.countDocuments(filter)
+    ]);
+
+    return res.json({
+      success: true,
+      data: requests,
+      currentPage: page,
+      totalPages: Math.ceil(total / limit),
+      totalRequests: total,
+    });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/intake/{id}:
+ *   get:
+ *     summary: Get a request (its submitter or intake:manage)
+ *     tags: [Intake]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Request retrieved successfully
+ *       400:
+ *         description: Invalid request ID
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.get('/:id', authMiddleware, async (req, res, next) => {
+  try {
+    if (!checkId(req, res)) return;
+
+    const request = await IntakeRequest.findById(req.params.id)
+      .populate('submittedBy', 'name email phone')
+      .populate('petId', 'name species status');
+    const isSubmitter = request && String(request.submittedBy._id) === String(req.user.id);
+    if (!request || (!isSubmitter && !hasPermission(req.user.role, PERMISSIONS.INTAKE_MANAGE))) {
+      return responseHandler.notFound(res, 'Intake request');
+    }
+
+    return responseHandler.success(res, request, 'Intake request retrieved successfully');
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/intake/{id}/accept:
+ *   put:
+ *     summary: Accept a request and bring the pet into inventory (requires intake:manage)
+ *     description: A returned pet gets adoptedBy cleared, the finished adoption appended to its adoption history, the adopter's application marked Returned and its remaining check-ins cancelled. A surrendered pet is created from the submitted details (without photos; add them via the pet endpoints).
+ *     tags: [Intake]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [available, not_available]
+ *                 default: not_available
+ *                 description: To foster the pet, accept it as not_available and then create a placement
+ *               reviewNotes:
+ *                 type: string
+ *               pet:
+ *                 type: object
+ *                 description: Surrenders only; corrections to the submitted pet details (e.g. breed, healthStatus)
+ *     responses:
+ *       200:
+ *         description: Request accepted
+ *       400:
+ *         description: Invalid ID or status
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       409:
+ *         description: Request already reviewed, or the pet is no longer adopted by the submitter
+ *       422:
+ *         description: Pet details are invalid
+ */
+router.put('/:id/accept', authMiddleware, requirePermission(PERMISSIONS.INTAKE_MANAGE), async (req, res, next) => {
+  try {
+    if (!checkId(req, res)) return;
+
+    const { status, reviewNotes, pet } = req.body;
+    const request = await acceptIntakeRequest(req.params.id, req.user, {
+      status,
+      reviewNotes,
+      petOverrides: pet && typeof pet === 'object' ? pet : {}
+    });
+
+    return responseHandler.success(res, request, 'Intake request accepted successfully');
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/intake/{id}/decline:
+ *   put:
+ *     summary: Decline a request (requires intake:manage)
+ *     tags: [Intake]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reviewNotes:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Request declined
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       409:
+ *         description: Request already reviewed or withdrawn
+ */
+router.put('/:id/decline', authMiddleware, requirePermission(PERMISSIONS.INTAKE_MANAGE), async (req, res, next) => {
+  try {
+    if (!checkId(req, res)) return;
+
+    const request = await declineIntakeRequest(req.params.id, req.user, { reviewNotes: req.body.reviewNotes });
+
+    return responseHandler.success(res, request, 'Intake request declined successfully');
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/intake/{id}/withdraw:
+ *   put:
+ *     summary: Withdraw your request before it is reviewed
+ *     tags: [Intake]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Request withdrawn
+ *       403:
+ *         description: Not your request
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       409:
+ *         description: Request already reviewed or withdrawn
+ */
+router.put('/:id/withdraw', authMiddleware, async (req, res, next) => {
+  try {
+    if (!checkId(req, res)) return;
+
+    const request = await withdrawIntakeRequest(req.params.id, req.user);
+
+    return responseHandler.success(res, request, 'Intake request withdrawn successfully');
+  } catch (err) {
+    return next(err);
+  }
+});
+
+export default router;
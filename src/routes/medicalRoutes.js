@@ -0,0 +1,332 @@
+import express from 'express';
+import MedicalRecord from '../models/MedicalRecord.js';
+import Pet from '../models/Pet.js';
+import { authMiddleware, requirePermission, requireAnyPermission } from '../middleware/auth.js';
+import { PERMISSIONS } from '../utils/permissions.js';
+import { responseHandler } from '../utils/responseHandler.js';
+import { validationUtils } from '../utils/validation.js';
+import {
+  DEFAULT_DUE_WINDOW_DAYS,
+  MAX_DUE_WINDOW_DAYS,
+  updateRecordDetails,
+  addEntry,
+  updateEntry,
+  removeEntry,
+  vaccinationsDue
+} from '../services/medicalRecords.js';
+
+const router = express.Router();
+
+// Staff may read records; only vets edit them
+const canRead = requireAnyPermission(PERMISSIONS.PETS_WRITE, PERMISSIONS.PETS_HEALTH);
+const canEdit = requirePermission(PERMISSIONS.PETS_HEALTH);
+
+// Answer 400 for a malformed pet or entry ID; returns whether both were valid
+const checkIds = (req, res) => {
+  const ids = [req.params.petId, req.params.entryId].filter(Boolean);
+  if (ids.some(id => !validationUtils.validateObjectId(id))) {
+    responseHandler.error(res, 'Invalid pet or entry ID format', 400);
+    return false;
+  }
+  return true;
+};
+
+/**
+ * @swagger
+ * tags:
+ *   name: Medical
+ *   description: Pet medical and vaccination records (read with pets:write or pets:health, edit with pets:health)
+ */
+
+/**
+ * @swagger
+ * /api/medical/vaccinations-due:
+ *   get:
+ *     summary: Vaccinations due in the next N days, overdue included (pets:write or pets:health)
+ *     description: Uses each vaccine's latest dose, for pets not yet adopted, soonest first.
+ *     tags: [Medical]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: days
+ *         schema:
+ *           type: integer
+ *           default: 30
+ *           maximum: 365
+ *     responses:
+ *       200:
+ *         description: Report generated successfully
+ *       400:
+ *         description: Invalid days
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         description: Missing permission
+ */
+router.get('/vaccinations-due', authMiddleware, canRead, async (req, res, next) => {
+  try {
+    const days = req.query.days === undefined ? DEFAULT_DUE_WINDOW_DAYS : Number(req.query.days);
+    if (!Number.isInteger(days) || days < 0 || days > MAX_DUE_WINDOW_DAYS) {
+      return responseHandler.error(res, `Days must be a whole number from 0 to ${MAX_DUE_WINDOW_DAYS}`, 400);
+    }
+
+    const due = await vaccinationsDue({ days });
+
+    return res.json({ success: true, data: due, days, total: due.length });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/medical/pets/{petId}:
+ *   get:
+ *     summary: Get a pet's full medical record (pets:write or pets:health)
+ *     description: Returns an empty record when nothing has been recorded yet.
+ *     tags: [Medical]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: petId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Medical record retrieved successfully
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.get('/pets/:petId', authMiddleware, canRead, async (req, res, next) => {
+  try {
+    if (!checkIds(req, res)) return;
+
+    const record = await MedicalRecord.findOne({ petId: req.params.petId })
+      .populate('vaccinations.recordedBy medications.recordedBy weights.recordedBy visits.recordedBy', 'name');
+    if (!record && !(await Pet.exists({ _id: req.params.petId }))) {
+      return responseHandler.notFound(res, 'Pet');
+    }
+
+    return responseHandler.success(
+      res,
+      record || new MedicalRecord({ petId: req.params.petId }),
+      'Medical record retrieved successfully'
+    );
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/medical/pets/{petId}:
+ *   patch:
+ *     summary: Update spay/neuter, microchip and allergy details (requires pets:health)
+ *     tags: [Medical]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: petId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               sterilization:
+ *                 type: string
+ *                 enum: [unknown, intact, spayed, neutered]
+ *               sterilizedAt:
+ *                 type: string
+ *                 format: date
+ *               microchip:
+ *                 type: object
+ *                 properties:
+ *                   number:
+ *                     type: string
+ *                   implantedAt:
+ *                     type: string
+ *                     format: date
+ *                   registry:
+ *                     type: string
+ *               allergies:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Medical record updated
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       422:
+ *         description: Invalid values
+ */
+router.patch('/pets/:petId', authMiddleware, canEdit, async (req, res, next) => {
+  try {
+    if (!checkIds(req, res)) return;
+
+    const record = await updateRecordDetails(req.params.petId, req.body);
+
+    return responseHandler.success(res, record, 'Medical record updated successfully');
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/medical/pets/{petId}/{section}:
+ *   post:
+ *     summary: Add a vaccination, medication, weight or vet visit (requires pets:health)
+ *     description: |
+ *       Fields by section:
+ *       - vaccinations: name, administeredAt, nextDueAt, batchNumber, administeredBy
+ *       - medications: name, dosage, frequency, startDate, endDate, notes
+ *       - weights: weightKg, measuredAt
+ *       - visits: date, vetName, reason, diagnosis, notes
+ *     tags: [Medical]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: petId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: section
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [vaccinations, medications, weights, visits]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *           example:
+ *             name: Rabies
+ *             administeredAt: 2024-03-01
+ *             nextDueAt: 2025-03-01
+ *     responses:
+ *       201:
+ *         description: Entry added
+ *       400:
+ *         description: Unknown section or invalid ID
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       422:
+ *         description: Invalid entry
+ */
+router.post('/pets/:petId/:section', authMiddleware, canEdit, async (req, res, next) => {
+  try {
+    if (!checkIds(req, res)) return;
+
+    const record = await addEntry(req.params.petId, req.params.section, req.body, req.user);
+
+    return responseHandler.success(res, record, 'Entry added successfully', 201);
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/medical/pets/{petId}/{section}/{entryId}:
+ *   put:
+ *     summary: Correct an entry, e.g. set a medication's endDate (requires pets:health)
+ *     tags: [Medical]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: petId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: section
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [vaccinations, medications, weights, visits]
+ *       - in: path
+ *         name: entryId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *     responses:
+ *       200:
+ *         description: Entry updated
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       422:
+ *         description: Invalid entry
+ *   delete:
+ *     summary: Remove an entry recorded in error (requires pets:health)
+ *     tags: [Medical]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: petId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: section
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [vaccinations, medications, weights, visits]
+ *       - in: path
+ *         name: entryId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Entry removed
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.put('/pets/:petId/:section/:entryId', authMiddleware, canEdit, async (req, res, next) => {
+  try {
+    if (!checkIds(req, res)) return;
+
+    const { petId, section, entryId } = req.params;
+    const record = await updateEntry(petId, section, entryId, req.body);
+
+    return responseHandler.success(res, record, 'Entry updated successfully');
+  } catch (err) {
+    return next(err);
+  }
+});
+
+router.delete('/pets/:petId/:section/:entryId', authMiddleware, canEdit, async (req, res, next) => {
+  try {
+    if (!checkIds(req, res)) return;
+
+    const { petId, section, entryId } = req.params;
+    const record = await removeEntry(petId, section, entryId);
+
+    return responseHandler.success(res, record, 'Entry removed successfully');
+  } catch (err) {
+    return next(err);
+  }
+});
+
+export default router;
@@ -1,39 +1,110 @@
 import express from 'express';
-import multer from 'multer';
-import Pet from '../models/Pet.js';
-import { authMiddleware, adminMiddleware } from '../middleware/auth.js';
+import Pet, { MAX_PHOTOS, PHOTO_SIZES } from '../models/Pet.js';
+import MedicalRecord from '../models/MedicalRecord.js';
+import { authMiddleware, requirePermission, requireAnyPermission } from '../middleware/auth.js';
+import { createUpload, uploadErrorHandler, MB } from '../middleware/upload.js';
+import { PERMISSIONS, PET_HEALTH_FIELDS, hasPermission } from '../utils/permissions.js';
 import { responseHandler } from '../utils/responseHandler.js';
+import { validationUtils } from '../utils/validation.js';
+import { getStorage } from '../services/storage/index.js';
+import { storePetPhoto, removePhotos, resolvePhotoImage } from '../services/petPhotos.js';
+import { healthSummary } from '../services/medicalRecords.js';
+import { removeFollowUps } from '../services/followUps.js';
+import { searchPets, findPetsNear } from '../services/petSearch.js';
+import { resolveShelterAssignment } from '../services/shelters.js';
+import { parseLatLng } from '../utils/geo.js';
+import { INITIAL_PET_STATUSES, changePetStatus } from '../services/adoptionWorkflow.js';
 
 const router = express.Router();
 
-// Multer memory storage for image → base64 conversion
-const upload = multer({
-  storage: multer.memoryStorage(),
-  limits: { fileSize: 5 * 1024 * 1024 }, // 5MB
-  fileFilter: (req, file, cb) => {
-    if (file.mimetype.startsWith('image/')) {
-      cb(null, true);
-    } else {
-      cb(new Error('Only image files allowed'), false);
-    }
-  }
+const MAX_PHOTO_SIZE = 5 * MB;
+
+const upload = createUpload({
+  accept: mimetype => mimetype.startsWith('image/'),
+  rejectMessage: 'Only image files allowed',
+  maxFileSize: MAX_PHOTO_SIZE
 });
 
-// Multer error handling middleware
-const handleMulterError = (err, req, res, next) => {
-  if (err instanceof multer.MulterError) {
-    if (err.code === 'LIMIT_FILE_SIZE') {
-      return responseHandler.error(res, 'File size exceeds 5MB limit', 400);
-    }
-    if (err.code === 'LIMIT_PART_COUNT') {
-      return responseHandler.error(res, 'Too many file parts', 400);
-    }
-    return responseHandler.error(res, `Upload error: ${err.message}`, 400);
+const handleMulterError = uploadErrorHandler({
+  maxFileSize: MAX_PHOTO_SIZE,
+  tooManyFiles: `Too many photos (max ${MAX_PHOTOS})`
+});
+
+// Accepts `photos` (gallery) plus the legacy single `photo` field
+const photoFields = upload.fields([
+  { name: 'photo', maxCount: 1 },
+  { name: 'photos', maxCount: MAX_PHOTOS }
+]);
+
+// Stream a stored photo to the client, at the size given by ?size=
+const sendPhoto = async (req, res, photo) => {
+  const { size } = req.query;
+  if (size && !PHOTO_SIZES.includes(size)) {
+    return responseHandler.error(res, `Size must be one of: ${PHOTO_SIZES.join(', ')}`, 400);
+  }
+
+  const image = resolvePhotoImage(photo, size);
+  const object = await getStorage().get(image.key);
+  if (!object) {
+    return responseHandler.notFound(res, 'Photo');
   }
-  if (err) {
-    return responseHandler.error(res, err.message, 400);
+
+  res.set('Content-Type', image.contentType || 'application/octet-stream');
+  if (object.size) {
+    res.set('Content-Length', String(object.size));
   }
-  next();
+  res.set('Cache-Control', 'public, max-age=86400');
+
+  object.stream.on('error', (err) => {
+    console.error('Error streaming photo:', err);
+    res.destroy(err);
+  });
+  object.stream.pipe(res);
+};
+
+// Pet fields editable through PUT/PATCH. Adoption, intake, location and
+// photo fields are managed by the workflow, shelter and photo routes.
+const EDITABLE_PET_FIELDS = [
+  'name', 'species', 'breed', 'age', 'size', 'gender', 'healthStatus',
+  'temperament', 'description', 'isFeatured', 'status', 'shelterId'
+];
+
+// Copy the editable fields out of a request body, dropping the rest.
+// Returns null when a key is an update operator or a dotted path.
+const pickPetUpdate = (body) => {
+  const keys = Object.keys(body || {});
+  if (keys.some(key => key.startsWith('$') || key.includes('.'))) {
+    return null;
+  }
+  return Object.fromEntries(
+    keys.filter(key => EDITABLE_PET_FIELDS.includes(key)).map(key => [key, body[key]])
+  );
+};
+
+// Save a pet after an update; a status change goes through the adoption
+// state machine (throws a 409/403 AppError)
+const savePetUpdate = (pet, status, actor) =>
+  status !== undefined && status !== pet.status
+    ? changePetStatus(pet, status, actor)
+    : pet.save();
+
+// Radius for ?near= searches, in km
+const DEFAULT_RADIUS_KM = 50;
+const MAX_RADIUS_KM = 500;
+
+// Load a pet for the photo management routes, answering 400/404 itself
+const findPetForPhotos = async (req, res) => {
+  if (!req.params.id.match(/^[0-9a-fA-F]{24}$/)) {
+    responseHandler.error(res, 'Invalid pet ID format', 400);
+    return null;
+  }
+
+  const pet = await Pet.findById(req.params.id);
+  if (!pet) {
+    responseHandler.notFound(res, 'Pet');
+    return null;
+  }
+  return pet;
 };
 
 // ---------------------------------------------------
@@ -55,12 +126,15 @@ router.get('/featured', async (req, res) => {
 });
 
 // ---------------------------------------------------
-// GET: All pets with filters + pagination
+// GET: All pets with filters + pagination; ?search= ranks by relevance
+// and adds score/highlights to each pet; ?near=lat,lng&radius=km keeps
+// pets within the radius, adds distanceKm and (without ?search=) sorts
+// nearest first
 // ---------------------------------------------------
 router.get('/', async (req, res) => {
   try {
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 9;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 9, 1), 100);
 
     const filter = {};
     
@@ -72,14 +146,11 @@ router.get('/', async (req, res) => {
     }
 
     // Apply other filters
-    if (req.query.search) {
-      filter.name = { $regex: req.query.search, $options: 'i' };
-    }
     if (req.query.species) {
       filter.species = req.query.species;
     }
     if (req.query.breed) {
-      filter.breed = { $regex: req.query.breed, $options: 'i' };
+      filter.breed = { $regex: validationUtils.escapeRegex(String(req.query.breed).slice(0, 50)), $options: 'i' };
     }
     if (req.query.age) {
       filter.age = req.query.age;
@@ -97,6 +168,46 @@ router.get('/', async (req, res) => {
       filter.temperament = { $in: [req.query.temperament] };
     }
 
+    let near = null;
+    let radiusKm = null;
+    if (req.query.near) {
+      near = parseLatLng(req.query.near);
+      if (!near) {
+        return responseHandler.error(res, 'near must be "latitude,longitude"', 400);
+      }
+      radiusKm = req.query.radius === undefined ? DEFAULT_RADIUS_KM : Number(req.query.radius);
+      if (!Number.isFinite(radiusKm) || radiusKm <= 0 || radiusKm > MAX_RADIUS_KM) {
+        return responseHandler.error(res, `radius must be a number of km up to ${MAX_RADIUS_KM}`, 400);
+      }
+    }
+
+    if (req.query.search) {
+      const results = await searchPets(String(req.query.search).slice(0, 200), filter, { page, limit, near, radiusKm });
+      if (results) {
+        return res.json({
+          success: true,
+          data: results.pets,
+          currentPage: page,
+          totalPages: Math.ceil(results.total / limit),
+          totalPets: results.total,
+          searchMode: results.mode,
+          searchTerms: results.terms,
+        });
+      }
+    }
+
+    if (near) {
+      const results = await findPetsNear(filter, near, radiusKm, { page, limit });
+      return res.json({
+        success: true,
+        data: results.pets,
+        currentPage: page,
+        totalPages: Math.ceil(results.total / limit),
+        totalPets: results.total,
+        radiusKm,
+      });
+    }
+
     const skip = (page - 1) * limit;
 
     const pets = await Pet.find(filter)
@@ -121,7 +232,53 @@ router.get('/', async (req, res) => {
 });
 
 // ---------------------------------------------------
-// GET: Single Pet by ID
+// GET: Stream Pet Cover Photo
+// ---------------------------------------------------
+router.get('/:id/photo', async (req, res) => {
+  try {
+    // Validate MongoDB ObjectId format
+    if (!req.params.id.match(/^[0-9a-fA-F]{24}$/)) {
+      return responseHandler.error(res, 'Invalid pet ID format', 400);
+    }
+
+    const pet = await Pet.findById(req.params.id).select('photos coverPhotoId');
+    const cover = pet && pet.getCoverPhoto();
+    if (!cover) {
+      return responseHandler.notFound(res, 'Photo');
+    }
+
+    return await sendPhoto(req, res, cover);
+  } catch (err) {
+    console.error('Error fetching photo:', err);
+    return responseHandler.error(res, err.message);
+  }
+});
+
+// ---------------------------------------------------
+// GET: Stream a Specific Pet Photo
+// ---------------------------------------------------
+router.get('/:id/photos/:photoId', async (req, res) => {
+  try {
+    // Validate MongoDB ObjectId format
+    if (!req.params.id.match(/^[0-9a-fA-F]{24}$/) || !req.params.photoId.match(/^[0-9a-fA-F]{24}$/)) {
+      return responseHandler.error(res, 'Invalid pet or photo ID format', 400);
+    }
+
+    const pet = await Pet.findById(req.params.id).select('photos');
+    const photo = pet && pet.photos.id(req.params.photoId);
+    if (!photo) {
+      return responseHandler.notFound(res, 'Photo');
+    }
+
+    return await sendPhoto(req, res, photo);
+  } catch (err) {
+    console.error('Error fetching photo:', err);
+    return responseHandler.error(res, err.message);
+  }
+});
+
+// ---------------------------------------------------
+// GET: Single Pet by ID — with the public health summary from its medical record
 // ---------------------------------------------------
 router.get('/:id', async (req, res) => {
   try {
@@ -130,13 +287,20 @@ router.get('/:id', async (req, res) => {
       return responseHandler.error(res, 'Invalid pet ID format', 400);
     }
 
-    const pet = await Pet.findById(req.params.id);
+    const [pet, record] = await Promise.all([
+      Pet.findById(req.params.id),
+      MedicalRecord.findOne({ petId: req.params.id })
+    ]);
     
     if (!pet) {
       return responseHandler.notFound(res, 'Pet');
     }
 
-    return responseHandler.success(res, pet, 'Pet retrieved successfully');
+    return responseHandler.success(
+      res,
+      { ...pet.toJSON(), healthSummary: healthSummary(record) },
+      'Pet retrieved successfully'
+    );
   } catch (err) {
     console.error('Error fetching pet:', err);
     return responseHandler.error(res, err.message);
@@ -144,22 +308,54 @@ router.get('/:id', async (req, res) => {
 });
 
 // ---------------------------------------------------
-// POST: Create Pet (Admin) — Supports Base64 Images
+// GET: Adoption History (pets:write) — current adopter, earlier returned adoptions, surrender origin
+// ---------------------------------------------------
+router.get('/:id/adoption-history', authMiddleware, requirePermission(PERMISSIONS.PETS_WRITE), async (req, res) => {
+  try {
+    // Validate MongoDB ObjectId format
+    if (!req.params.id.match(/^[0-9a-fA-F]{24}$/)) {
+      return responseHandler.error(res, 'Invalid pet ID format', 400);
+    }
+
+    const pet = await Pet.findById(req.params.id)
+      .select('name status adoptedBy adoptionDate adoptionHistory intakeRequestId')
+      .populate('adoptedBy', 'name email')
+      .populate('adoptionHistory.adopterId', 'name email')
+      .populate('adoptionHistory.intakeRequestId', 'reason reasonDetails reviewNotes')
+      .populate('intakeRequestId', 'type reason reasonDetails submittedBy createdAt');
+
+    if (!pet) {
+      return responseHandler.notFound(res, 'Pet');
+    }
+
+    return responseHandler.success(res, {
+      petId: pet._id,
+      name: pet.name,
+      status: pet.status,
+      adoptedBy: pet.adoptedBy,
+      adoptionDate: pet.adoptionDate,
+      previousAdoptions: pet.adoptionHistory,
+      intakeRequest: pet.intakeRequestId
+    }, 'Adoption history retrieved successfully');
+  } catch (err) {
+    console.error('Error fetching adoption history:', err);
+    return responseHandler.error(res, err.message);
+  }
+});
+
+// ---------------------------------------------------
+// POST: Create Pet (pets:write) — Photo goes to storage
 // ---------------------------------------------------
 router.post(
   '/',
   authMiddleware,
-  adminMiddleware,
-  upload.single('photo'),
+  requirePermission(PERMISSIONS.PETS_WRITE),
+  photoFields,
   handleMulterError,
   async (req, res) => {
     try {
       let petData = req.body;
-
-      // If file uploaded → convert to base64
-      if (req.file) {
-        petData.photoBase64 = `data:${req.file.mimetype};base64,${req.file.buffer.toString('base64')}`;
-      }
+      const files = [...(req.files?.photos || []), ...(req.files?.photo || [])];
 
       // Comprehensive validation
       const requiredFields = ['name', 'species', 'breed', 'age', 'description'];
@@ -173,12 +369,26 @@ router.post(
         );
       }
 
-      if (!petData.photoBase64) {
-        return responseHandler.error(res, 'Pet photo is required', 400);
+      if (files.length === 0) {
+        return responseHandler.error(res, 'At least one pet photo is required', 400);
+      }
+
+      if (petData.status && !INITIAL_PET_STATUSES.includes(petData.status)) {
+        return responseHandler.error(
+          res,
+          `New pets must have status: ${INITIAL_PET_STATUSES.join(', ')}`,
+          400
+        );
+      }
+
+      if (files.length > MAX_PHOTOS) {
+        return responseHandler.error(res, `A pet cannot have more than ${MAX_PHOTOS} photos`, 400);
       }
 
-      // Create pet with all fields
-      const pet = await Pet.create({
+      const shelter = await resolveShelterAssignment(petData.shelterId);
+
+      // Build pet with all fields
+      const pet = new Pet({
         name: petData.name.trim(),
         species: petData.species,
         breed: petData.breed.trim(),
@@ -188,11 +398,26 @@ router.post(
         healthStatus: petData.healthStatus || 'good',
         temperament: Array.isArray(petData.temperament) ? petData.temperament : [],
         description: petData.description.trim(),
-        photoBase64: petData.photoBase64,
         isFeatured: petData.isFeatured === true || petData.isFeatured === 'true',
-        status: petData.status || 'available'
+        status: petData.status || 'available',
+        shelterId: shelter.shelterId,
+        location: shelter.location
       });
 
+      await pet.validate();
+
+      const stored = [];
+      try {
+        for (const file of files) {
+          stored.push(await storePetPhoto(pet._id, file));
+        }
+        pet.photos = stored;
+        await pet.save();
+      } catch (err) {
+        await removePhotos(stored);
+        throw err;
+      }
+
       return responseHandler.success(res, pet, 'Pet created successfully', 201);
 
     } catch (err) {
@@ -203,19 +428,19 @@ router.post(
         return responseHandler.validationError(res, errors);
       }
 
-      return responseHandler.error(res, err.message);
+      return responseHandler.error(res, err.message, err.statusCode || 500);
     }
   }
 );
 
 // ---------------------------------------------------
-// PUT: Update Pet (Admin) — Supports Base64
+// PUT: Update Pet (pets:write) — `photo` replaces the cover, `photos` are appended
 // ---------------------------------------------------
 router.put(
   '/:id',
   authMiddleware,
-  adminMiddleware,
-  upload.single('photo'),
+  requirePermission(PERMISSIONS.PETS_WRITE),
+  photoFields,
   handleMulterError,
   async (req, res) => {
     try {
@@ -229,38 +454,80 @@ router.put(
         return responseHandler.notFound(res, 'Pet');
       }
 
-      let updateData = req.body;
+      const updateData = pickPetUpdate(req.body);
+      if (!updateData) {
+        return responseHandler.error(res, 'Update operators and dotted field names are not allowed', 400);
+      }
 
-      // Handle new uploaded image
-      if (req.file) {
-        updateData.photoBase64 = `data:${req.file.mimetype};base64,${req.file.buffer.toString('base64')}`;
+      const { status, ...fields } = updateData;
+      const replacement = req.files?.photo?.[0];
+      const additions = req.files?.photos || [];
+
+      const remaining = MAX_PHOTOS - existingPet.photos.length;
+      if (additions.length > remaining) {
+        return responseHandler.error(res, `A pet cannot have more than ${MAX_PHOTOS} photos`, 400);
       }
 
       // Trim string fields if present
-      if (updateData.name) updateData.name = updateData.name.trim();
-      if (updateData.breed) updateData.breed = updateData.breed.trim();
-      if (updateData.description) updateData.description = updateData.description.trim();
+      if (fields.name) fields.name = fields.name.trim();
+      if (fields.breed) fields.breed = fields.breed.trim();
+      if (fields.description) fields.description = fields.description.trim();
 
       // Convert isFeatured to boolean if present
-      if (updateData.isFeatured !== undefined) {
-        updateData.isFeatured = updateData.isFeatured === true || updateData.isFeatured === 'true';
+      if (fields.isFeatured !== undefined) {
+        fields.isFeatured = fields.isFeatured === true || fields.isFeatured === 'true';
       }
 
       // Ensure temperament is an array
-      if (updateData.temperament && !Array.isArray(updateData.temperament)) {
-        updateData.temperament = [updateData.temperament];
+      if (fields.temperament && !Array.isArray(fields.temperament)) {
+        fields.temperament = [fields.temperament];
+      }
+
+      if (fields.shelterId !== undefined) {
+        const shelter = await resolveShelterAssignment(fields.shelterId, {
+          currentShelterId: existingPet.shelterId
+        });
+        fields.shelterId = shelter.shelterId;
+        fields.location = shelter.location;
       }
 
-      const updatedPet = await Pet.findByIdAndUpdate(
-        req.params.id, 
-        updateData, 
-        {
-          new: true,
-          runValidators: true
+      existingPet.set(fields);
+
+      const stored = [];
+      let replaced = null;
+      try {
+        if (replacement) {
+          const photo = await storePetPhoto(existingPet._id, replacement);
+          stored.push(photo);
+
+          const cover = existingPet.getCoverPhoto();
+          if (cover) {
+            // Swap the cover's stored object in place so order and cover are kept
+            replaced = cover.toObject();
+            cover.set(photo);
+          } else {
+            existingPet.photos.push(photo);
+          }
+        }
+
+        for (const file of additions) {
+          const photo = await storePetPhoto(existingPet._id, file);
+          stored.push(photo);
+          existingPet.photos.push(photo);
         }
-      );
 
-      return responseHandler.success(res, updatedPet, 'Pet updated successfully');
+        await savePetUpdate(existingPet, status, req.user);
+      } catch (err) {
+        await removePhotos(stored);
+        throw err;
+      }
+
+      // Old image is no longer referenced once the new one is saved
+      if (replaced) {
+        await removePhotos([replaced]);
+      }
+
+      return responseHandler.success(res, existingPet, 'Pet updated successfully');
 
     } catch (err) {
       console.error('Error updating pet:', err);
@@ -270,15 +537,15 @@ router.put(
         return responseHandler.validationError(res, errors);
       }
       
-      return responseHandler.error(res, err.message);
+      return responseHandler.error(res, err.message, err.statusCode || 500);
     }
   }
 );
 
 // ---------------------------------------------------
-// PATCH: Partial Update Pet (Admin)
+// PATCH: Partial Update Pet (pets:write, or pets:health for health fields)
 // ---------------------------------------------------
-router.patch('/:id', authMiddleware, adminMiddleware, async (req, res) => {
+router.patch('/:id', authMiddleware, requireAnyPermission(PERMISSIONS.PETS_WRITE, PERMISSIONS.PETS_HEALTH), async (req, res) => {
   try {
     // Validate MongoDB ObjectId format
     if (!req.params.id.match(/^[0-9a-fA-F]{24}$/)) {
@@ -290,21 +557,36 @@ router.patch('/:id', authMiddleware, adminMiddleware, async (req, res) => {
       return responseHandler.notFound(res, 'Pet');
     }
 
-    const updateData = req.body;
+    const updateData = pickPetUpdate(req.body);
+    if (!updateData) {
+      return responseHandler.error(res, 'Update operators and dotted field names are not allowed', 400);
+    }
 
-    // Trim string fields if present
-    if (updateData.name) updateData.name = updateData.name.trim();
-    if (updateData.breed) updateData.breed = updateData.breed.trim();
-    if (updateData.description) updateData.description = updateData.description.trim();
-
-    const updatedPet = await Pet.findByIdAndUpdate(
-      req.params.id,
-      updateData,
-      {
-        new: true,
-        runValidators: true
+    // Without pets:write only health fields may change
+    if (!hasPermission(req.user.role, PERMISSIONS.PETS_WRITE)) {
+      const forbidden = Object.keys(updateData).filter(field => !PET_HEALTH_FIELDS.includes(field));
+      if (forbidden.length > 0) {
+        return responseHandler.forbidden(res, `Not allowed to edit: ${forbidden.join(', ')}`);
       }
-    );
+    }
+
+    const { status, ...fields } = updateData;
+
+    if (fields.shelterId !== undefined) {
+      const shelter = await resolveShelterAssignment(fields.shelterId, {
+        currentShelterId: existingPet.shelterId
+      });
+      fields.shelterId = shelter.shelterId;
+      fields.location = shelter.location;
+    }
+
+    // Trim string fields if present
+    if (fields.name) fields.name = fields.name.trim();
+    if (fields.breed) fields.breed = fields.breed.trim();
+    if (fields.description) fields.description = fields.description.trim();
+
+    existingPet.set(fields);
+    const updatedPet = await savePetUpdate(existingPet, status, req.user);
 
     return responseHandler.success(res, updatedPet, 'Pet updated successfully');
 
@@ -316,14 +598,146 @@ router.patch('/:id', authMiddleware, adminMiddleware, async (req, res) => {
       return responseHandler.validationError(res, errors);
     }
     
+    return responseHandler.error(res, err.message, err.statusCode || 500);
+  }
+});
+
+// ---------------------------------------------------
+// POST: Add Photos to Gallery (pets:write)
+// ---------------------------------------------------
+router.post(
+  '/:id/photos',
+  authMiddleware,
+  requirePermission(PERMISSIONS.PETS_WRITE),
+  upload.array('photos', MAX_PHOTOS),
+  handleMulterError,
+  async (req, res) => {
+    try {
+      const pet = await findPetForPhotos(req, res);
+      if (!pet) return;
+
+      const files = req.files || [];
+      if (files.length === 0) {
+        return responseHandler.error(res, 'No photos uploaded', 400);
+      }
+
+      if (pet.photos.length + files.length > MAX_PHOTOS) {
+        return responseHandler.error(res, `A pet cannot have more than ${MAX_PHOTOS} photos`, 400);
+      }
+
+      const stored = [];
+      try {
+        for (const file of files) {
+          const photo = await storePetPhoto(pet._id, file);
+          stored.push(photo);
+          pet.photos.push(photo);
+        }
+        await pet.save();
+      } catch (err) {
+        await removePhotos(stored);
+        throw err;
+      }
+
+      return responseHandler.success(res, pet, 'Photos added successfully', 201);
+    } catch (err) {
+      console.error('Error adding photos:', err);
+      return responseHandler.error(res, err.message, err.statusCode || 500);
+    }
+  }
+);
+
+// ---------------------------------------------------
+// PUT: Reorder Gallery (pets:write) — body: { order: [photoId, ...] }
+// ---------------------------------------------------
+router.put('/:id/photos/order', authMiddleware, requirePermission(PERMISSIONS.PETS_WRITE), async (req, res) => {
+  try {
+    const pet = await findPetForPhotos(req, res);
+    if (!pet) return;
+
+    const order = Array.isArray(req.body.order) ? req.body.order.map(String) : null;
+    const current = pet.photos.map(photo => String(photo._id));
+
+    // The new order must list every existing photo exactly once
+    const isPermutation = order
+      && order.length === current.length
+      && new Set(order).size === order.length
+      && order.every(id => current.includes(id));
+
+    if (!isPermutation) {
+      return responseHandler.error(res, 'Order must list every photo ID of this pet exactly once', 400);
+    }
+
+    pet.photos = order.map(id => pet.photos.id(id).toObject());
+    await pet.save();
+
+    return responseHandler.success(res, pet, 'Photos reordered successfully');
+  } catch (err) {
+    console.error('Error reordering photos:', err);
+    return responseHandler.error(res, err.message);
+  }
+});
+
+// ---------------------------------------------------
+// PUT: Set Cover Photo (pets:write)
+// ---------------------------------------------------
+router.put('/:id/photos/:photoId/cover', authMiddleware, requirePermission(PERMISSIONS.PETS_WRITE), async (req, res) => {
+  try {
+    const pet = await findPetForPhotos(req, res);
+    if (!pet) return;
+
+    const photo = req.params.photoId.match(/^[0-9a-fA-F]{24}$/) && pet.photos.id(req.params.photoId);
+    if (!photo) {
+      return responseHandler.notFound(res, 'Photo');
+    }
+
+    pet.coverPhotoId = photo._id;
+    await pet.save();
+
+    return responseHandler.success(res, pet, 'Cover photo updated successfully');
+  } catch (err) {
+    console.error('Error setting cover photo:', err);
+    return responseHandler.error(res, err.message);
+  }
+});
+
+// ---------------------------------------------------
+// DELETE: Remove a Photo from Gallery (pets:write)
+// ---------------------------------------------------
+router.delete('/:id/photos/:photoId', authMiddleware, requirePermission(PERMISSIONS.PETS_WRITE), async (req, res) => {
+  try {
+    const pet = await findPetForPhotos(req, res);
+    if (!pet) return;
+
+    const photo = req.params.photoId.match(/^[0-9a-fA-F]{24}$/) && pet.photos.id(req.params.photoId);
+    if (!photo) {
+      return responseHandler.notFound(res, 'Photo');
+    }
+
+    if (pet.photos.length === 1) {
+      return responseHandler.error(res, 'A pet must keep at least one photo', 400);
+    }
+
+    // Deleting the cover falls back to the first remaining photo
+    if (pet.coverPhotoId && String(pet.coverPhotoId) === String(photo._id)) {
+      pet.coverPhotoId = null;
+    }
+
+    const removed = photo.toObject();
+    pet.photos.pull(photo._id);
+    await pet.save();
+    await removePhotos([removed]);
+
+    return responseHandler.success(res, pet, 'Photo deleted successfully');
+  } catch (err) {
+    console.error('Error deleting photo:', err);
     return responseHandler.error(res, err.message);
   }
 });
 
 // ---------------------------------------------------
-// DELETE: Remove Pet (Admin)
+// DELETE: Remove Pet (pets:delete)
 // ---------------------------------------------------
-router.delete('/:id', authMiddleware, adminMiddleware, async (req, res) => {
+router.delete('/:id', authMiddleware, requirePermission(PERMISSIONS.PETS_DELETE), async (req, res) => {
   try {
     // Validate MongoDB ObjectId format
     if (!req.params.id.match(/^[0-9a-fA-F]{24}$/)) {
@@ -336,6 +750,10 @@ router.delete('/:id', authMiddleware, adminMiddleware, async (req, res) => {
       return responseHandler.notFound(res, 'Pet');
     }
 
+    await removePhotos(pet.photos);
+    await MedicalRecord.deleteOne({ petId: pet._id });
+    await removeFollowUps(pet._id);
+
     return responseHandler.success(res, { id: req.params.id }, 'Pet deleted successfully');
 
   } catch (err) {
@@ -0,0 +1,243 @@
+import express from 'express';
+import Questionnaire from '../models/Questionnaire.js';
+import { SPECIES } from '../models/Pet.js';
+import { authMiddleware, requirePermission } from '../middleware/auth.js';
+import { PERMISSIONS } from '../utils/permissions.js';
+import { responseHandler } from '../utils/responseHandler.js';
+import { validationUtils } from '../utils/validation.js';
+import {
+  getCurrentQuestionnaire,
+  publishQuestionnaire,
+  retireQuestionnaire
+} from '../services/questionnaires.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Questionnaires
+ *   description: Adoption questionnaires answered when applying
+ */
+
+/**
+ * @swagger
+ * /api/questionnaires/current:
+ *   get:
+ *     summary: Get the questionnaire applicants for a species must answer
+ *     description: Returns the species' own current version, falling back to the generic questionnaire. `data` is null when none is in force.
+ *     tags: [Questionnaires]
+ *     security: []
+ *     parameters:
+ *       - in: query
+ *         name: species
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [dog, cat, bird, rabbit, hamster, guinea_pig, fish, reptile, other]
+ *     responses:
+ *       200:
+ *         description: Questionnaire retrieved successfully
+ *       400:
+ *         description: Missing or unknown species
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/current', async (req, res, next) => {
+  try {
+    const species = req.query.species;
+    if (!SPECIES.includes(species)) {
+      return responseHandler.error(res, `Species must be one of: ${SPECIES.join(', ')}`, 400);
+    }
+
+    const questionnaire = await getCurrentQuestionnaire(species);
+
+    return res.json({ success: true, data: questionnaire });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/questionnaires:
+ *   get:
+ *     summary: List questionnaire versions (requires questionnaires:manage)
+ *     tags: [Questionnaires]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: species
+ *         schema:
+ *           type: string
+ *         description: Species, or "generic" for the fallback questionnaire
+ *       - in: query
+ *         name: current
+ *         schema:
+ *           type: boolean
+ *         description: Only versions currently in force
+ *     responses:
+ *       200:
+ *         description: Questionnaires retrieved successfully
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         description: Missing permission
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/', authMiddleware, requirePermission(PERMISSIONS.QUESTIONNAIRES_MANAGE), async (req, res, next) => {
+  try {
+    const filter = {};
+    if (req.query.species) {
+      filter.species = req.query.species === 'generic' ? null : String(req.query.species);
+    }
+    if (req.query.current !== undefined) {
+      filter.isCurrent = req.query.current === 'true';
+    }
+
+    const questionnaires = await Questionnaire.find(filter).sort({ species: 1, version: -1 });
+
+    return res.json({ success: true, data: questionnaires });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/questionnaires/{id}:
+ *   get:
+ *     summary: Get one questionnaire version (requires questionnaires:manage)
+ *     tags: [Questionnaires]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Questionnaire retrieved successfully
+ *       400:
+ *         description: Invalid questionnaire ID
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.get('/:id', authMiddleware, requirePermission(PERMISSIONS.QUESTIONNAIRES_MANAGE), async (req, res, next) => {
+  try {
+    if (!validationUtils.validateObjectId(req.params.id)) {
+      return responseHandler.error(res, 'Invalid questionnaire ID format', 400);
+    }
+
+    const questionnaire = await Questionnaire.findById(req.params.id);
+    if (!questionnaire) {
+      return responseHandler.notFound(res, 'Questionnaire');
+    }
+
+    return responseHandler.success(res, questionnaire, 'Questionnaire retrieved successfully');
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/questionnaires:
+ *   post:
+ *     summary: Publish a new questionnaire version (requires questionnaires:manage)
+ *     description: Becomes the version in force for its species (or the generic one when species is omitted). The previous version is retired but stays attached to the applications that answered it.
+ *     tags: [Questionnaires]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Questionnaire'
+ *           example:
+ *             species: dog
+ *             title: Dog adoption questionnaire
+ *             questions:
+ *               - key: housingType
+ *                 label: What type of home do you live in?
+ *                 type: select
+ *                 options: [house, apartment, other]
+ *                 required: true
+ *               - key: hasYard
+ *                 label: Do you have a fenced yard?
+ *                 type: boolean
+ *               - key: hoursAlonePerDay
+ *                 label: How many hours a day would the dog be alone?
+ *                 type: number
+ *                 min: 0
+ *                 max: 24
+ *                 required: true
+ *     responses:
+ *       201:
+ *         description: Questionnaire published
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         description: Missing permission
+ *       422:
+ *         description: Invalid questionnaire definition
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/', authMiddleware, requirePermission(PERMISSIONS.QUESTIONNAIRES_MANAGE), async (req, res, next) => {
+  try {
+    const { species, title, description, questions } = req.body;
+
+    const questionnaire = await publishQuestionnaire(
+      { species: species || null, title, description, questions },
+      req.user
+    );
+
+    return responseHandler.success(res, questionnaire, 'Questionnaire published successfully', 201);
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/questionnaires/{id}:
+ *   delete:
+ *     summary: Retire a questionnaire so applicants no longer answer it (requires questionnaires:manage)
+ *     tags: [Questionnaires]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Questionnaire retired
+ *       400:
+ *         description: Invalid ID or already retired
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.delete('/:id', authMiddleware, requirePermission(PERMISSIONS.QUESTIONNAIRES_MANAGE), async (req, res, next) => {
+  try {
+    if (!validationUtils.validateObjectId(req.params.id)) {
+      return responseHandler.error(res, 'Invalid questionnaire ID format', 400);
+    }
+
+    const questionnaire = await retireQuestionnaire(req.params.id);
+
+    return responseHandler.success(res, questionnaire, 'Questionnaire retired successfully');
+  } catch (err) {
+    return next(err);
+  }
+});
+
+export default router;
@@ -0,0 +1,226 @@
+import express from 'express';
+import Shelter from '../models/Shelter.js';
+import { authMiddleware, requirePermission } from '../middleware/auth.js';
+import { PERMISSIONS } from '../utils/permissions.js';
+import { responseHandler } from '../utils/responseHandler.js';
+import { validationUtils } from '../utils/validation.js';
+import { parseLatLng, roundKm } from '../utils/geo.js';
+import { createShelter, updateShelter, deleteShelter } from '../services/shelters.js';
+
+const router = express.Router();
+
+// Answer 400 for a malformed shelter ID; returns whether it was valid
+const checkId = (req, res) => {
+  if (!validationUtils.validateObjectId(req.params.id)) {
+    responseHandler.error(res, 'Invalid shelter ID format', 400);
+    return false;
+  }
+  return true;
+};
+
+/**
+ * @swagger
+ * tags:
+ *   name: Shelters
+ *   description: Shelter sites and their locations
+ */
+
+/**
+ * @swagger
+ * /api/shelters:
+ *   get:
+ *     summary: List active shelters, optionally nearest first
+ *     tags: [Shelters]
+ *     security: []
+ *     parameters:
+ *       - in: query
+ *         name: near
+ *         schema:
+ *           type: string
+ *           example: 37.7749,-122.4194
+ *         description: '"latitude,longitude"; sorts by distance and adds distanceKm'
+ *     responses:
+ *       200:
+ *         description: Shelters retrieved successfully
+ *       400:
+ *         description: Malformed near
+ */
+router.get('/', async (req, res, next) => {
+  try {
+    if (req.query.near) {
+      const near = parseLatLng(req.query.near);
+      if (!near) {
+        return responseHandler.error(res, 'near must be "latitude,longitude"', 400);
+      }
+
+      const docs = await Shelter.aggregate([
+        { $geoNear: { near, distanceField: 'distance', spherical: true, query: { isActive: true } } }
+      ]);
+
+      return res.json({
+        success: true,
+        data: docs.map(({ distance, ...doc }) => ({
+          ...Shelter.hydrate(doc).toJSON(),
+          distanceKm: roundKm(distance / 1000)
+        }))
+      });
+    }
+
+    const shelters = await Shelter.find({ isActive: true }).sort({ name: 1 });
+
+    return res.json({ success: true, data: shelters });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/shelters/{id}:
+ *   get:
+ *     summary: Get a shelter
+ *     tags: [Shelters]
+ *     security: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Shelter retrieved successfully
+ *       400:
+ *         description: Invalid shelter ID
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.get('/:id', async (req, res, next) => {
+  try {
+    if (!checkId(req, res)) return;
+
+    const shelter = await Shelter.findById(req.params.id);
+    if (!shelter) {
+      return responseHandler.notFound(res, 'Shelter');
+    }
+
+    return responseHandler.success(res, shelter, 'Shelter retrieved successfully');
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/shelters:
+ *   post:
+ *     summary: Add a shelter (requires shelters:manage)
+ *     tags: [Shelters]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Shelter'
+ *     responses:
+ *       201:
+ *         description: Shelter created
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         description: Missing permission
+ *       409:
+ *         description: Name already taken
+ *       422:
+ *         description: Invalid shelter
+ */
+router.post('/', authMiddleware, requirePermission(PERMISSIONS.SHELTERS_MANAGE), async (req, res, next) => {
+  try {
+    const shelter = await createShelter(req.body);
+
+    return responseHandler.success(res, shelter, 'Shelter created successfully', 201);
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/shelters/{id}:
+ *   put:
+ *     summary: Update a shelter (requires shelters:manage)
+ *     description: Changing the location moves the shelter's pets in location searches too.
+ *     tags: [Shelters]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Shelter'
+ *     responses:
+ *       200:
+ *         description: Shelter updated
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       409:
+ *         description: Name already taken
+ *       422:
+ *         description: Invalid shelter
+ */
+router.put('/:id', authMiddleware, requirePermission(PERMISSIONS.SHELTERS_MANAGE), async (req, res, next) => {
+  try {
+    if (!checkId(req, res)) return;
+
+    const shelter = await updateShelter(req.params.id, req.body);
+
+    return responseHandler.success(res, shelter, 'Shelter updated successfully');
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/shelters/{id}:
+ *   delete:
+ *     summary: Delete a shelter with no pets (requires shelters:manage)
+ *     tags: [Shelters]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Shelter deleted
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       409:
+ *         description: Pets are still assigned to the shelter
+ */
+router.delete('/:id', authMiddleware, requirePermission(PERMISSIONS.SHELTERS_MANAGE), async (req, res, next) => {
+  try {
+    if (!checkId(req, res)) return;
+
+    await deleteShelter(req.params.id);
+
+    return responseHandler.success(res, { id: req.params.id }, 'Shelter deleted successfully');
+  } catch (err) {
+    return next(err);
+  }
+});
+
+export default router;
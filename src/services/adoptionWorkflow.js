@@ -0,0 +1,544 @@
+import Application from '../models/Application.js';
+import ApplicationMessage from '../models/ApplicationMessage.js';
+import Appointment from '../models/Appointment.js';
+import Pet from '../models/Pet.js';
+import User from '../models/User.js';
+import { runInTransaction } from './transactions.js';
+import { getCurrentQuestionnaire, validateAnswers } from './questionnaires.js';
+import { removeApplicationDocuments } from './applicationDocuments.js';
+import { generateContract, storeSignedContract } from './contracts/index.js';
+import { scheduleFollowUps, cancelFollowUps } from './followUps.js';
+import { sendMail } from './mail/index.js';
+import { applicationNotSelectedEmail } from './mail/templates.js';
+import { AppError, InvalidTransitionError } from '../utils/errors.js';
+import { PERMISSIONS, hasPermission } from '../utils/permissions.js';
+
+/**
+ * Single source of truth for the adoption state machine. Routes never
+ * write Pet.status or Application.status directly; they call the
+ * functions below, which check the transition is legal, that the actor
+ * may trigger it, and apply its side effects.
+ */
+
+export const PET_STATUS = {
+  AVAILABLE: 'available',
+  PENDING: 'pending',
+  ADOPTED: 'adopted',
+  NOT_AVAILABLE: 'not_available',
+  FOSTERED: 'fostered'
+};
+
+export const APPLICATION_STATUS = {
+  PENDING: 'Pending',
+  SCREENING: 'Screening',
+  INTERVIEW: 'Interview',
+  HOME_VISIT: 'Home Visit',
+  TRIAL_PERIOD: 'Trial Period',
+  APPROVED: 'Approved',
+  REJECTED: 'Rejected',
+  NOT_SELECTED: 'Not Selected',
+  RETURNED: 'Returned'
+};
+
+// Who may trigger a transition
+const SYSTEM = 'system';       // only as a side effect of another transition
+const APPLICANT = 'applicant'; // the user who owns the application
+
+/**
+ * Legal pet transitions: from → to → who may trigger it
+ */
+export const PET_TRANSITIONS = {
+  [PET_STATUS.AVAILABLE]: {
+    [PET_STATUS.PENDING]: SYSTEM,
+    [PET_STATUS.NOT_AVAILABLE]: PERMISSIONS.PETS_WRITE,
+    [PET_STATUS.FOSTERED]: SYSTEM
+  },
+  [PET_STATUS.PENDING]: {
+    [PET_STATUS.AVAILABLE]: SYSTEM,
+    [PET_STATUS.ADOPTED]: SYSTEM
+  },
+  // Only by accepting a return request (see returnPet)
+  [PET_STATUS.ADOPTED]: {
+    [PET_STATUS.AVAILABLE]: SYSTEM,
+    [PET_STATUS.NOT_AVAILABLE]: SYSTEM
+  },
+  [PET_STATUS.NOT_AVAILABLE]: {
+    [PET_STATUS.AVAILABLE]: PERMISSIONS.PETS_WRITE,
+    [PET_STATUS.FOSTERED]: SYSTEM
+  },
+  // Entering and leaving foster care goes through placements (see fostering.js)
+  [PET_STATUS.FOSTERED]: {
+    [PET_STATUS.AVAILABLE]: SYSTEM,
+    [PET_STATUS.NOT_AVAILABLE]: SYSTEM
+  }
+};
+
+// Statuses a pet may be created with; fostered pets need a placement
+export const INITIAL_PET_STATUSES = [
+  PET_STATUS.AVAILABLE,
+  PET_STATUS.NOT_AVAILABLE
+];
+
+// Pet statuses that accept new applications
+const OPEN_PET_STATUSES = [PET_STATUS.AVAILABLE, PET_STATUS.PENDING];
+
+/**
+ * Stages an application moves through before a decision, in order.
+ * Staff may advance to any later stage (skipping a home visit, say) but
+ * never move backwards.
+ */
+export const APPLICATION_STAGES = [
+  APPLICATION_STATUS.PENDING,
+  APPLICATION_STATUS.SCREENING,
+  APPLICATION_STATUS.INTERVIEW,
+  APPLICATION_STATUS.HOME_VISIT,
+  APPLICATION_STATUS.TRIAL_PERIOD
+];
+
+// Applications still in play (not yet decided)
+export const ACTIVE_APPLICATION_STATUSES = APPLICATION_STAGES;
+
+// Applications holding a pet: undecided, or approved and awaiting the
+// adopter's acceptance of the contract
+const CLAIMING_APPLICATION_STATUSES = [...ACTIVE_APPLICATION_STATUSES, APPLICATION_STATUS.APPROVED];
+
+/**
+ * Legal application transitions: from → to → who may trigger it.
+ * 'withdrawn' is not stored: withdrawing deletes the application.
+ */
+export const APPLICATION_TRANSITIONS = {
+  ...Object.fromEntries(APPLICATION_STAGES.map((stage, index) => [stage, {
+    ...Object.fromEntries(
+      APPLICATION_STAGES.slice(index + 1).map(next => [next, PERMISSIONS.APPLICATIONS_DECIDE])
+    ),
+    [APPLICATION_STATUS.APPROVED]: PERMISSIONS.APPLICATIONS_DECIDE,
+    [APPLICATION_STATUS.REJECTED]: PERMISSIONS.APPLICATIONS_DECIDE,
+    // Another application for the same pet was approved
+    [APPLICATION_STATUS.NOT_SELECTED]: SYSTEM,
+    withdrawn: APPLICANT
+  }])),
+  // Until the adopter accepts the contract, staff can still back out
+  [APPLICATION_STATUS.APPROVED]: {
+    [APPLICATION_STATUS.REJECTED]: PERMISSIONS.APPLICATIONS_DECIDE,
+    // The adopter brought the pet back
+    [APPLICATION_STATUS.RETURNED]: SYSTEM
+  },
+  [APPLICATION_STATUS.REJECTED]: {},
+  [APPLICATION_STATUS.NOT_SELECTED]: {},
+  [APPLICATION_STATUS.RETURNED]: {}
+};
+
+// Check that `actor` may trigger a transition guarded by `rule`
+const assertAllowed = (rule, actor, { system, ownerId }) => {
+  if (rule === SYSTEM) {
+    if (!system) {
+      throw new InvalidTransitionError('This status change happens automatically and cannot be made directly');
+    }
+    return;
+  }
+  if (system) return;
+
+  if (rule === APPLICANT) {
+    if (!actor || String(actor.id) !== String(ownerId)) {
+      throw new AppError('Only the applicant can do this', 403);
+    }
+    return;
+  }
+
+  if (!actor || !hasPermission(actor.role, rule)) {
+    throw new AppError(`Missing permission: ${rule}`, 403);
+  }
+};
+
+/**
+ * Throw unless a pet may move from one status to another
+ */
+export const assertPetTransition = (from, to, actor, { system = false } = {}) => {
+  const rule = PET_TRANSITIONS[from] && PET_TRANSITIONS[from][to];
+  if (!rule) {
+    throw new InvalidTransitionError(`Pet cannot change from '${from}' to '${to}'`);
+  }
+  assertAllowed(rule, actor, { system });
+};
+
+/**
+ * Throw unless an application may move from its current status to `to`
+ */
+export const assertApplicationTransition = (application, to, actor, { system = false } = {}) => {
+  const from = application.status;
+  const rule = APPLICATION_TRANSITIONS[from] && APPLICATION_TRANSITIONS[from][to];
+  if (!rule) {
+    throw new InvalidTransitionError(`Application cannot change from '${from}' to '${to}'`);
+  }
+  assertAllowed(rule, actor, { system, ownerId: application.userId });
+};
+
+/**
+ * Move an application to a new status, recording the change (who, when,
+ * note) in its history. Does not save.
+ */
+const moveApplication = (application, to, actor, { note, system = false } = {}) => {
+  application.history.push({
+    from: application.status,
+    to,
+    note,
+    changedBy: system || !actor ? null : actor.id,
+    changedAt: new Date()
+  });
+  application.status = to;
+};
+
+/**
+ * Move a pet to a new status and apply the side effects of that status.
+ * Mutates and saves the pet.
+ */
+export const changePetStatus = async (pet, to, actor, { system = false, adopterId = null, session } = {}) => {
+  if (pet.status === to) return pet;
+
+  assertPetTransition(pet.status, to, actor, { system });
+
+  if (to === PET_STATUS.ADOPTED) {
+    if (!adopterId) {
+      throw new AppError('An adopter is required to mark a pet adopted', 500);
+    }
+    pet.adoptedBy = adopterId;
+    pet.adoptionDate = new Date();
+  }
+
+  pet.status = to;
+  await pet.save({ session });
+  return pet;
+};
+
+// Release a pending pet back to available once nobody is waiting on it
+const releasePetIfUnclaimed = async (petId, { session } = {}) => {
+  const pet = await Pet.findById(petId).session(session || null);
+  if (!pet || pet.status !== PET_STATUS.PENDING) return;
+
+  const stillPending = await Application.exists({
+    petId,
+    status: { $in: CLAIMING_APPLICATION_STATUSES }
+  }).session(session || null);
+
+  if (!stillPending) {
+    await changePetStatus(pet, PET_STATUS.AVAILABLE, null, { system: true, session });
+  }
+};
+
+// Cancel upcoming appointments of applications that are out of the running
+const cancelAppointments = (applicationIds, reason, { session } = {}) =>
+  Appointment.updateMany(
+    { applicationId: { $in: applicationIds }, status: 'scheduled' },
+    { status: 'cancelled', cancelledAt: new Date(), cancelReason: reason, $inc: { sequence: 1 } },
+    { session }
+  );
+
+// Tell applicants who lost out on a pet; failures are logged, not thrown
+const notifyNotSelected = async (applications, pet) => {
+  if (applications.length === 0) return;
+
+  const users = await User.find({ _id: { $in: applications.map(app => app.userId) } }).select('name email');
+  for (const user of users) {
+    try {
+      await sendMail({ to: user.email, ...applicationNotSelectedEmail({ name: user.name, petName: pet.name }) });
+    } catch (err) {
+      console.error('Error sending not-selected email:', err);
+    }
+  }
+};
+
+/**
+ * Create a pending application for a pet and mark the pet pending. When a
+ * questionnaire is in force for the pet's species, `answers` are
+ * validated against it and stored with the application.
+ */
+export const submitApplication = ({ petId, userId, userMessage, answers }) =>
+  runInTransaction(async (session) => {
+    const pet = await Pet.findById(petId).session(session);
+    if (!pet) {
+      throw new AppError('Pet not found', 404);
+    }
+    if (!OPEN_PET_STATUSES.includes(pet.status)) {
+      throw new InvalidTransitionError(`Pet is '${pet.status}' and is not accepting applications`);
+    }
+    const approved = await Application.exists({
+      petId: pet._id,
+      status: APPLICATION_STATUS.APPROVED
+    }).session(session);
+    if (approved) {
+      throw new InvalidTransitionError('Pet is reserved for an approved adopter and is not accepting applications');
+    }
+
+    const questionnaire = await getCurrentQuestionnaire(pet.species, { session });
+    const storedAnswers = questionnaire ? validateAnswers(questionnaire, answers) : [];
+
+    const [application] = await Application.create([{
+      userId,
+      petId: pet._id,
+      userMessage,
+      questionnaire: questionnaire ? questionnaire._id : null,
+      questionnaireVersion: questionnaire ? questionnaire.version : undefined,
+      answers: storedAnswers,
+      status: APPLICATION_STATUS.PENDING,
+      history: [{ from: null, to: APPLICATION_STATUS.PENDING, changedBy: userId, changedAt: new Date() }]
+    }], { session });
+
+    if (pet.status === PET_STATUS.AVAILABLE) {
+      await changePetStatus(pet, PET_STATUS.PENDING, null, { system: true, session });
+    }
+
+    return application;
+  });
+
+/**
+ * Approve an application. In one transaction: the application becomes
+ * Approved and every other undecided application for the pet becomes Not
+ * Selected. The pet stays pending until the applicant accepts the
+ * generated contract (see acceptContract). Two concurrent approvals for
+ * the same pet conflict on each other's applications; the loser is
+ * retried, finds itself Not Selected and fails with 409.
+ */
+export const approveApplication = async (applicationId, actor, { adminNotes } = {}) => {
+  const { application, pet, notSelected } = await runInTransaction(async (session) => {
+    const application = await Application.findById(applicationId).session(session);
+    if (!application) {
+      throw new AppError('Application not found', 404);
+    }
+    assertApplicationTransition(application, APPLICATION_STATUS.APPROVED, actor);
+
+    const pet = await Pet.findById(application.petId).session(session);
+    if (!pet) {
+      throw new AppError('Pet not found', 404);
+    }
+    // Reserve the pet; only pending pets can later become adopted
+    await changePetStatus(pet, PET_STATUS.PENDING, actor, { system: true, session });
+
+    const now = new Date();
+    moveApplication(application, APPLICATION_STATUS.APPROVED, actor, { note: adminNotes });
+    application.adminNotes = adminNotes;
+    application.decidedDate = now;
+    await application.save({ session });
+
+    const notSelected = await Application.find({
+      petId: pet._id,
+      _id: { $ne: application._id },
+      status: { $in: ACTIVE_APPLICATION_STATUSES }
+    }).session(session);
+
+    for (const other of notSelected) {
+      assertApplicationTransition(other, APPLICATION_STATUS.NOT_SELECTED, actor, { system: true });
+      moveApplication(other, APPLICATION_STATUS.NOT_SELECTED, actor, { system: true });
+      other.decidedDate = now;
+      await other.save({ session });
+    }
+    await cancelAppointments(notSelected.map(other => other._id), 'Application not selected', { session });
+
+    return { application, pet, notSelected };
+  }).catch((err) => {
+    // one_approved_per_pet: another approval for the pet committed first
+    if (err.code === 11000) {
+      throw new InvalidTransitionError('Another application for this pet has already been approved');
+    }
+    throw err;
+  });
+
+  await notifyNotSelected(notSelected, pet);
+
+  // The contract can be regenerated on download if this fails
+  try {
+    await generateContract(application);
+  } catch (err) {
+    console.error('Error generating contract:', err);
+  }
+
+  return application;
+};
+
+// Compare typed and account names ignoring case and spacing
+const normaliseName = (name) => String(name || '').trim().replace(/\s+/g, ' ').toLowerCase();
+
+/**
+ * Record the applicant's electronic acceptance of the contract (typed
+ * name, time, IP) and, in the same transaction, mark the pet adopted and
+ * schedule its follow-up check-ins.
+ * `termsHash` must match the contract the applicant was shown.
+ */
+export const acceptContract = async (applicationId, actor, { typedName, termsHash, ip, userAgent }) => {
+  const application = await runInTransaction(async (session) => {
+    const application = await Application.findById(applicationId).session(session);
+    if (!application) {
+      throw new AppError('Application not found', 404);
+    }
+    if (String(application.userId) !== String(actor.id)) {
+      throw new AppError('Only the applicant can accept the contract', 403);
+    }
+    if (application.status !== APPLICATION_STATUS.APPROVED) {
+      throw new InvalidTransitionError(`Application is '${application.status}'; only approved applications have a contract`);
+    }
+
+    const { contract } = application;
+    if (!contract || !contract.key) {
+      throw new InvalidTransitionError('Contract has not been generated yet; download it first');
+    }
+    if (contract.acceptedAt) {
+      throw new InvalidTransitionError('Contract has already been accepted');
+    }
+    if (termsHash !== contract.termsHash) {
+      throw new InvalidTransitionError('Contract has changed; download it again before accepting');
+    }
+
+    const user = await User.findById(application.userId).session(session);
+    if (!user || !typedName || normaliseName(typedName) !== normaliseName(user.name)) {
+      throw new AppError('Typed name must match the name on your account', 400);
+    }
+
+    const pet = await Pet.findById(application.petId).session(session);
+    if (!pet) {
+      throw new AppError('Pet not found', 404);
+    }
+    await changePetStatus(pet, PET_STATUS.ADOPTED, actor, {
+      system: true,
+      adopterId: application.userId,
+      session
+    });
+    await scheduleFollowUps({ pet, adopterId: application.userId, applicationId: application._id }, { session });
+
+    contract.acceptedAt = new Date();
+    contract.acceptedName = String(typedName).trim();
+    contract.acceptedIp = ip;
+    contract.acceptedUserAgent = userAgent ? userAgent.slice(0, 500) : undefined;
+    await application.save({ session });
+
+    return application;
+  });
+
+  try {
+    await storeSignedContract(application);
+  } catch (err) {
+    console.error('Error storing signed contract:', err);
+  }
+
+  return application;
+};
+
+/**
+ * Take back an adopted pet. The finished adoption is appended to the
+ * pet's adoptionHistory, adoptedBy is cleared, the adopter's application
+ * becomes Returned (freeing the pet for a new approval) and outstanding
+ * check-ins are cancelled. Runs inside the caller's transaction.
+ */
+export const returnPet = async (pet, actor, { status = PET_STATUS.NOT_AVAILABLE, reason, intakeRequestId, session }) => {
+  if (pet.status !== PET_STATUS.ADOPTED) {
+    throw new InvalidTransitionError(`Pet is '${pet.status}'; only adopted pets can be returned`);
+  }
+  assertPetTransition(pet.status, status, actor, { system: true });
+
+  const application = await Application.findOne({
+    petId: pet._id,
+    userId: pet.adoptedBy,
+    status: APPLICATION_STATUS.APPROVED
+  }).session(session);
+
+  const returnedAt = new Date();
+  pet.adoptionHistory.push({
+    adopterId: pet.adoptedBy,
+    applicationId: application ? application._id : undefined,
+    adoptedAt: pet.adoptionDate,
+    returnedAt,
+    returnReason: reason,
+    intakeRequestId
+  });
+  pet.adoptedBy = null;
+  pet.adoptionDate = null;
+  pet.status = status;
+  await pet.save({ session });
+
+  if (application) {
+    assertApplicationTransition(application, APPLICATION_STATUS.RETURNED, actor, { system: true });
+    moveApplication(application, APPLICATION_STATUS.RETURNED, actor, { note: reason });
+    await application.save({ session });
+  }
+
+  await cancelFollowUps(pet._id, { session });
+
+  return pet;
+};
+
+/**
+ * Move an application to a later stage (screening, interview, home visit,
+ * trial period). Without `to`, advances to the next stage.
+ */
+export const advanceApplication = async (applicationId, actor, { to, note } = {}) => {
+  const application = await Application.findById(applicationId);
+  if (!application) {
+    throw new AppError('Application not found', 404);
+  }
+
+  let target = to;
+  if (!target) {
+    const index = APPLICATION_STAGES.indexOf(application.status);
+    target = index === -1 ? null : APPLICATION_STAGES[index + 1];
+    if (!target) {
+      throw new InvalidTransitionError(`Application in '${application.status}' has no next stage`);
+    }
+  }
+  if (!APPLICATION_STAGES.includes(target)) {
+    throw new AppError(`Stage must be one of: ${APPLICATION_STAGES.slice(1).join(', ')}`, 400);
+  }
+
+  assertApplicationTransition(application, target, actor);
+  moveApplication(application, target, actor, { note });
+  await application.save();
+
+  return application;
+};
+
+/**
+ * Reject an application (including an approved one whose contract is not
+ * yet accepted) and release the pet if nobody else is waiting
+ */
+export const rejectApplication = (applicationId, actor, { adminNotes } = {}) =>
+  runInTransaction(async (session) => {
+    const application = await Application.findById(applicationId).session(session);
+    if (!application) {
+      throw new AppError('Application not found', 404);
+    }
+    assertApplicationTransition(application, APPLICATION_STATUS.REJECTED, actor);
+    if (application.contract && application.contract.acceptedAt) {
+      throw new InvalidTransitionError('The adopter has already accepted the contract');
+    }
+
+    moveApplication(application, APPLICATION_STATUS.REJECTED, actor, { note: adminNotes });
+    application.adminNotes = adminNotes;
+    application.decidedDate = new Date();
+    await application.save({ session });
+
+    await cancelAppointments([application._id], 'Application rejected', { session });
+    await releasePetIfUnclaimed(application.petId, { session });
+
+    return application;
+  });
+
+/**
+ * Withdraw (delete) an application, its messages and documents on
+ * behalf of its applicant
+ */
+export const withdrawApplication = async (applicationId, actor) => {
+  const application = await runInTransaction(async (session) => {
+    const application = await Application.findById(applicationId).session(session);
+    if (!application) {
+      throw new AppError('Application not found', 404);
+    }
+    assertApplicationTransition(application, 'withdrawn', actor);
+
+    await Application.deleteOne({ _id: application._id }).session(session);
+    await ApplicationMessage.deleteMany({ applicationId: application._id }).session(session);
+    await cancelAppointments([application._id], 'Application withdrawn', { session });
+    await releasePetIfUnclaimed(application.petId, { session });
+
+    return application;
+  });
+
+  // Stored files are outside the transaction; remove them once it commits
+  await removeApplicationDocuments(application.documents);
+};
@@ -0,0 +1,71 @@
+import { getStorage, buildKey } from './storage/index.js';
+import { DOCUMENT_CATEGORIES } from '../models/Application.js';
+import { AppError } from '../utils/errors.js';
+
+export const DOCUMENT_CONTENT_TYPES = ['application/pdf', 'image/jpeg', 'image/png', 'image/webp'];
+
+// Leading bytes of each accepted format; the declared MIME type is not trusted
+const SIGNATURES = [
+  { contentType: 'application/pdf', matches: b => b.subarray(0, 5).toString('latin1') === '%PDF-' },
+  { contentType: 'image/jpeg', matches: b => b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff },
+  { contentType: 'image/png', matches: b => b.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) },
+  {
+    contentType: 'image/webp',
+    matches: b => b.subarray(0, 4).toString('latin1') === 'RIFF' && b.subarray(8, 12).toString('latin1') === 'WEBP'
+  }
+];
+
+/**
+ * Content type of a document from its contents, or null if it is not one
+ * of the accepted formats
+ */
+export const detectDocumentType = (buffer) => {
+  const signature = SIGNATURES.find(s => buffer.length >= 12 && s.matches(buffer));
+  return signature ? signature.contentType : null;
+};
+
+// Keep a display name safe for headers and logs
+const cleanFileName = (name) =>
+  String(name || 'document').replace(/[\\/\r\n"]/g, '_').slice(0, 200);
+
+/**
+ * Validate an uploaded file and write it to storage. Returns the metadata
+ * to push onto Application.documents.
+ */
+export const storeApplicationDocument = async (applicationId, file, { category = 'other', uploadedBy }) => {
+  if (!DOCUMENT_CATEGORIES.includes(category)) {
+    throw new AppError(`Category must be one of: ${DOCUMENT_CATEGORIES.join(', ')}`, 400);
+  }
+
+  const contentType = detectDocumentType(file.buffer);
+  if (!contentType) {
+    throw new AppError(`'${file.originalname}' is not a PDF, JPEG, PNG or WebP file`, 400);
+  }
+
+  const key = buildKey(`applications/${applicationId}/documents`, contentType);
+  await getStorage().put(key, file.buffer, { contentType });
+
+  return {
+    key,
+    originalName: cleanFileName(file.originalname),
+    contentType,
+    size: file.size,
+    category,
+    uploadedBy,
+    uploadedAt: new Date()
+  };
+};
+
+/**
+ * Delete stored files for documents; failures are logged, not thrown
+ */
+export const removeApplicationDocuments = async (documents) => {
+  for (const document of documents) {
+    if (!document || !document.key) continue;
+    try {
+      await getStorage().delete(document.key);
+    } catch (err) {
+      console.error('Error removing stored document:', err);
+    }
+  }
+};
@@ -0,0 +1,72 @@
+import mongoose from 'mongoose';
+import ApplicationMessage from '../models/ApplicationMessage.js';
+
+/**
+ * Messages of an application's thread visible to one side, oldest first.
+ * Opening the thread marks the other side's messages read.
+ */
+export const listMessages = async (application, viewer, { isStaff }) => {
+  const filter = { applicationId: application._id };
+  if (!isStaff) {
+    filter.internal = false;
+  }
+
+  await ApplicationMessage.updateMany(
+    {
+      applicationId: application._id,
+      sender: isStaff ? 'applicant' : 'staff',
+      internal: false,
+      readAt: null
+    },
+    { readAt: new Date(), readBy: viewer.id }
+  );
+
+  const messages = await ApplicationMessage.find(filter)
+    .populate('authorId', 'name role')
+    .sort({ createdAt: 1 });
+
+  // Applicants see "staff" rather than which team member wrote
+  return messages.map(message => {
+    const json = message.toJSON();
+    if (!isStaff) {
+      delete json.readBy;
+      if (message.sender === 'staff') {
+        json.authorId = null;
+      }
+    }
+    return json;
+  });
+};
+
+/**
+ * Add a message to an application's thread. Only staff may write
+ * internal notes.
+ */
+export const postMessage = (application, author, { body, internal = false, isStaff }) =>
+  ApplicationMessage.create({
+    applicationId: application._id,
+    authorId: author.id,
+    sender: isStaff ? 'staff' : 'applicant',
+    body,
+    internal: Boolean(isStaff && internal)
+  });
+
+/**
+ * Number of unread staff messages per application, for the applicant:
+ * Map of applicationId → count
+ */
+export const unreadCountsForApplicant = async (applicationIds) => {
+  const rows = await ApplicationMessage.aggregate([
+    {
+      $match: {
+        applicationId: { $in: applicationIds.map(id => new mongoose.Types.ObjectId(String(id))) },
+        sender: 'staff',
+        internal: false,
+        readAt: null
+      }
+    },
+    { $group: { _id: '$applicationId', count: { $sum: 1 } } }
+  ]);
+
+  return new Map(rows.map(row => [String(row._id), row.count]));
+};
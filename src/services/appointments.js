@@ -0,0 +1,167 @@
+import Appointment from '../models/Appointment.js';
+import AppointmentSlot from '../models/AppointmentSlot.js';
+import Application from '../models/Application.js';
+import Pet from '../models/Pet.js';
+import { AppError, InvalidTransitionError } from '../utils/errors.js';
+import { PERMISSIONS, hasPermission } from '../utils/permissions.js';
+import { runInTransaction } from './transactions.js';
+import { ACTIVE_APPLICATION_STATUSES } from './adoptionWorkflow.js';
+
+const isScheduler = (actor) => hasPermission(actor.role, PERMISSIONS.APPOINTMENTS_MANAGE);
+
+/**
+ * Whether `actor` may act on an appointment: its applicant, or staff
+ * with appointments:manage
+ */
+export const canAccessAppointment = (appointment, actor) =>
+  String(appointment.userId) === String(actor.id) || isScheduler(actor);
+
+/**
+ * IDs of slots that currently hold a booking, among `slotIds`
+ */
+export const bookedSlotIds = async (slotIds) => {
+  const booked = await Appointment.find({ slotId: { $in: slotIds }, status: 'scheduled' }).select('slotId');
+  return new Set(booked.map(appointment => String(appointment.slotId)));
+};
+
+// Check a slot can take a booking for `petId`; returns the slot
+const loadBookableSlot = async (slotId, petId, session) => {
+  const slot = await AppointmentSlot.findById(slotId).session(session);
+  if (!slot) {
+    throw new AppError('Slot not found', 404);
+  }
+  if (slot.startsAt <= new Date()) {
+    throw new AppError('Slot has already started', 400);
+  }
+  if (slot.petId && String(slot.petId) !== String(petId)) {
+    throw new AppError('Slot is reserved for another pet', 400);
+  }
+  return slot;
+};
+
+// Throw if the pet already has a scheduled appointment overlapping the slot
+const assertPetFree = async (petId, slot, { ignore, session }) => {
+  // Writing to the pet makes concurrent bookings for it conflict, so the
+  // overlap check below cannot race with another transaction
+  await Pet.updateOne({ _id: petId }, { $currentDate: { updatedAt: true } }, { session, timestamps: false });
+
+  const clash = await Appointment.exists({
+    petId,
+    status: 'scheduled',
+    startsAt: { $lt: slot.endsAt },
+    endsAt: { $gt: slot.startsAt },
+    ...(ignore && { _id: { $ne: ignore } })
+  }).session(session);
+
+  if (clash) {
+    throw new AppError('The pet already has an appointment at that time', 409);
+  }
+};
+
+// Map duplicate-key errors from the partial unique indexes to 409s
+const translateConflict = (err) => {
+  if (err.code === 11000) {
+    const index = err.message.includes('one_booking_per_application') ? 'application' : 'slot';
+    return new AppError(
+      index === 'application'
+        ? 'This application already has an appointment; reschedule it instead'
+        : 'Slot is already booked',
+      409
+    );
+  }
+  return err;
+};
+
+/**
+ * Book a slot for an application (by its applicant)
+ */
+export const bookAppointment = async ({ applicationId, slotId }, actor) => {
+  try {
+    return await runInTransaction(async (session) => {
+      const application = await Application.findById(applicationId).session(session);
+      if (!application) {
+        throw new AppError('Application not found', 404);
+      }
+      if (String(application.userId) !== String(actor.id)) {
+        throw new AppError('Only the applicant can book an appointment', 403);
+      }
+      if (!ACTIVE_APPLICATION_STATUSES.includes(application.status)) {
+        throw new InvalidTransitionError(`Application is already ${application.status}`);
+      }
+
+      const slot = await loadBookableSlot(slotId, application.petId, session);
+      await assertPetFree(application.petId, slot, { session });
+
+      const [appointment] = await Appointment.create([{
+        applicationId: application._id,
+        petId: application.petId,
+        userId: application.userId,
+        slotId: slot._id,
+        startsAt: slot.startsAt,
+        endsAt: slot.endsAt,
+        location: slot.location
+      }], { session });
+
+      return appointment;
+    });
+  } catch (err) {
+    throw translateConflict(err);
+  }
+};
+
+/**
+ * Move a scheduled appointment to another slot
+ */
+export const rescheduleAppointment = async (appointmentId, { slotId }, actor) => {
+  try {
+    return await runInTransaction(async (session) => {
+      const appointment = await Appointment.findById(appointmentId).session(session);
+      if (!appointment || !canAccessAppointment(appointment, actor)) {
+        throw new AppError('Appointment not found', 404);
+      }
+      if (appointment.status !== 'scheduled') {
+        throw new InvalidTransitionError('Only scheduled appointments can be rescheduled');
+      }
+      if (String(appointment.slotId) === String(slotId)) {
+        throw new AppError('Appointment is already in that slot', 400);
+      }
+
+      const slot = await loadBookableSlot(slotId, appointment.petId, session);
+      await assertPetFree(appointment.petId, slot, { ignore: appointment._id, session });
+
+      appointment.slotId = slot._id;
+      appointment.startsAt = slot.startsAt;
+      appointment.endsAt = slot.endsAt;
+      appointment.location = slot.location;
+      appointment.rescheduledAt = new Date();
+      appointment.sequence += 1;
+      await appointment.save({ session });
+
+      return appointment;
+    });
+  } catch (err) {
+    throw translateConflict(err);
+  }
+};
+
+/**
+ * Cancel a scheduled appointment, freeing its slot
+ */
+export const cancelAppointment = async (appointmentId, { reason } = {}, actor) => {
+  const appointment = await Appointment.findById(appointmentId);
+  if (!appointment || !canAccessAppointment(appointment, actor)) {
+    throw new AppError('Appointment not found', 404);
+  }
+  if (appointment.status !== 'scheduled') {
+    throw new InvalidTransitionError('Appointment is already cancelled');
+  }
+
+  appointment.status = 'cancelled';
+  appointment.cancelledAt = new Date();
+  appointment.cancelledBy = actor.id;
+  appointment.cancelReason = reason;
+  appointment.sequence += 1;
+  await appointment.save();
+
+  return appointment;
+};
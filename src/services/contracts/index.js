@@ -0,0 +1,82 @@
+import crypto from 'crypto';
+import User from '../../models/User.js';
+import Pet from '../../models/Pet.js';
+import { getStorage, buildKey } from '../storage/index.js';
+import { AppError } from '../../utils/errors.js';
+import { buildContractContent } from './template.js';
+import { renderContractPdf } from './pdf.js';
+
+/**
+ * Fingerprint of the rendered terms; the applicant accepts exactly these
+ */
+export const hashContractContent = (content) =>
+  crypto.createHash('sha256').update(JSON.stringify(content)).digest('hex');
+
+// Terms for an application, rendered from the current records
+const renderContent = async (application) => {
+  const [user, pet] = await Promise.all([
+    User.findById(application.userId),
+    Pet.findById(application.petId)
+  ]);
+  if (!user || !pet) {
+    throw new AppError('Applicant or pet no longer exists', 409);
+  }
+  return buildContractContent({ user, pet, application });
+};
+
+const storePdf = async (application, buffer) => {
+  const key = buildKey(`applications/${application._id}/contract`, 'application/pdf');
+  await getStorage().put(key, buffer, { contentType: 'application/pdf' });
+  return key;
+};
+
+/**
+ * Render the agreement for an approved application, store the PDF and
+ * record it on the application. Replaces an earlier unaccepted version.
+ */
+export const generateContract = async (application) => {
+  if (application.contract && application.contract.acceptedAt) {
+    throw new AppError('Contract has already been accepted', 409);
+  }
+
+  const content = await renderContent(application);
+  const termsHash = hashContractContent(content);
+  const key = await storePdf(application, await renderContractPdf(content, { termsHash }));
+
+  const previousKey = application.contract && application.contract.key;
+  application.contract = {
+    templateVersion: content.version,
+    termsHash,
+    content,
+    key,
+    generatedAt: new Date()
+  };
+  await application.save();
+
+  if (previousKey) {
+    await getStorage().delete(previousKey).catch(err => console.error('Error removing old contract:', err));
+  }
+  return application;
+};
+
+/**
+ * Generate the contract unless the application already has one
+ */
+export const ensureContract = async (application) =>
+  (application.contract && application.contract.key ? application : generateContract(application));
+
+/**
+ * Store a copy of the accepted contract including the acceptance record.
+ * Rendered from the stored terms, so it matches what was accepted even if
+ * the user or pet records have changed since.
+ */
+export const storeSignedContract = async (application) => {
+  const { contract } = application;
+  const buffer = await renderContractPdf(contract.content, {
+    termsHash: contract.termsHash,
+    acceptance: { name: contract.acceptedName, acceptedAt: contract.acceptedAt, ip: contract.acceptedIp }
+  });
+  contract.signedKey = await storePdf(application, buffer);
+  await application.save();
+  return application;
+};
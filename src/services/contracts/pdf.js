@@ -0,0 +1,51 @@
+import PDFDocument from 'pdfkit';
+
+/**
+ * Lay out rendered contract content as a PDF. With `acceptance` the
+ * electronic acceptance record is appended. Resolves to a Buffer.
+ */
+export const renderContractPdf = (content, { termsHash, acceptance } = {}) =>
+  new Promise((resolve, reject) => {
+    const doc = new PDFDocument({
+      size: 'A4',
+      margin: 56,
+      info: { Title: content.title }
+    });
+
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    doc.font('Helvetica-Bold').fontSize(18).text(content.title, { align: 'center' });
+    doc.moveDown(1.5);
+
+    content.sections.forEach((section, index) => {
+      doc.font('Helvetica-Bold').fontSize(12).text(`${index + 1}. ${section.heading}`);
+      doc.moveDown(0.3);
+      doc.font('Helvetica').fontSize(11).text(section.body, { align: 'left' });
+      doc.moveDown();
+    });
+
+    doc.moveDown();
+    if (acceptance) {
+      doc.font('Helvetica-Bold').fontSize(12).text('Electronic acceptance');
+      doc.moveDown(0.3);
+      doc.font('Helvetica').fontSize(11).text([
+        `Accepted by: ${acceptance.name}`,
+        `Date and time (UTC): ${acceptance.acceptedAt.toISOString()}`,
+        `IP address: ${acceptance.ip || 'unknown'}`
+      ].join('\n'));
+    } else {
+      doc.font('Helvetica-Oblique').fontSize(10)
+        .text('Not yet accepted. The adopter accepts this agreement electronically by typing their full name.');
+    }
+
+    doc.moveDown();
+    doc.font('Helvetica').fontSize(8).fillColor('gray')
+      .text(`Template version ${content.version}${termsHash ? ` · Terms fingerprint ${termsHash}` : ''}`);
+
+    doc.end();
+  });
+
+export default renderContractPdf;
@@ -0,0 +1,91 @@
+/**
+ * Adoption agreement template. `{{path}}` placeholders are filled from
+ * { shelter, adopter, pet, application }. Bump `version` whenever the
+ * wording changes so each accepted contract records which terms it used.
+ */
+export const CONTRACT_TEMPLATE = {
+  version: '1',
+  title: 'Pet Adoption Agreement',
+  sections: [
+    {
+      heading: 'Parties',
+      body: 'This agreement is made between {{shelter.name}} ("the Shelter") and {{adopter.name}} ("the Adopter"), ' +
+        'of {{adopter.address}}, email {{adopter.email}}, phone {{adopter.phone}}.'
+    },
+    {
+      heading: 'The animal',
+      body: 'Name: {{pet.name}}\nSpecies: {{pet.species}}\nBreed: {{pet.breed}}\nAge: {{pet.age}}\nSex: {{pet.gender}}\n' +
+        'Health status at adoption: {{pet.healthStatus}}'
+    },
+    {
+      heading: 'Care',
+      body: 'The Adopter agrees to provide {{pet.name}} with adequate food, water, shelter, exercise and companionship, ' +
+        'to keep the animal indoors or in a secure enclosure as suits its species, and never to use it for fighting, ' +
+        'breeding for sale or laboratory purposes.'
+    },
+    {
+      heading: 'Veterinary care',
+      body: 'The Adopter agrees to provide regular veterinary care, including vaccinations and prompt treatment ' +
+        'of illness or injury, at their own expense.'
+    },
+    {
+      heading: 'Return',
+      body: 'If the Adopter can no longer keep {{pet.name}}, they will return the animal to the Shelter rather than ' +
+        'sell, give away or abandon it.'
+    },
+    {
+      heading: 'Follow-up',
+      body: 'The Adopter agrees to reasonable follow-up contact from the Shelter after the adoption to confirm ' +
+        'the animal\'s wellbeing.'
+    },
+    {
+      heading: 'Application',
+      body: 'This agreement follows adoption application {{application.id}}, approved on {{application.decidedDate}}.'
+    }
+  ]
+};
+
+const MISSING = 'not provided';
+
+// Read a dotted path such as adopter.name
+const lookup = (data, path) =>
+  path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), data);
+
+/**
+ * Replace `{{path}}` placeholders with values from `data`
+ */
+export const renderTemplate = (text, data) =>
+  text.replace(/\{\{\s*([\w.]+)\s*\}\}/g, (match, path) => {
+    const value = lookup(data, path);
+    if (value === undefined || value === null || value === '') return MISSING;
+    if (value instanceof Date) return value.toISOString().slice(0, 10);
+    return String(value);
+  });
+
+/**
+ * Render the template for one adoption: { version, title, sections }
+ */
+export const buildContractContent = ({ user, pet, application }) => {
+  const data = {
+    shelter: { name: process.env.SHELTER_NAME || 'Pet Adoption' },
+    adopter: { name: user.name, email: user.email, phone: user.phone, address: user.address },
+    pet: {
+      name: pet.name,
+      species: pet.species,
+      breed: pet.breed,
+      age: pet.age,
+      gender: pet.gender,
+      healthStatus: pet.healthStatus
+    },
+    application: { id: String(application._id), decidedDate: application.decidedDate }
+  };
+
+  return {
+    version: CONTRACT_TEMPLATE.version,
+    title: CONTRACT_TEMPLATE.title,
+    sections: CONTRACT_TEMPLATE.sections.map(section => ({
+      heading: section.heading,
+      body: renderTemplate(section.body, data)
+    }))
+  };
+};
@@ -0,0 +1,116 @@
+import FollowUp from '../models/FollowUp.js';
+import { sendMail, clientUrl } from './mail/index.js';
+import { followUpReminderEmail } from './mail/templates.js';
+import { storePhoto, removePhotos } from './petPhotos.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Check-ins created when an adoption completes, by days after adoptionDate
+ */
+export const FOLLOW_UP_SCHEDULE = [
+  { milestone: '1_week', days: 7 },
+  { milestone: '1_month', days: 30 },
+  { milestone: '6_months', days: 182 }
+];
+
+// Days after the due date before a check-in counts as overdue
+export const FOLLOW_UP_GRACE_DAYS = 7;
+
+// Days before the due date from which the adopter can fill it in
+export const FOLLOW_UP_OPENS_DAYS_EARLY = 3;
+
+/**
+ * Schedule the check-ins for a completed adoption
+ */
+export const scheduleFollowUps = ({ pet, adopterId, applicationId }, { session } = {}) => {
+  const adoptedAt = (pet.adoptionDate || new Date()).getTime();
+  return FollowUp.insertMany(
+    FOLLOW_UP_SCHEDULE.map(({ milestone, days }) => ({
+      petId: pet._id,
+      adopterId,
+      applicationId,
+      milestone,
+      dueAt: new Date(adoptedAt + days * DAY_MS)
+    })),
+    { session }
+  );
+};
+
+/**
+ * Cancel the outstanding check-ins for a pet (e.g. once it is returned)
+ */
+export const cancelFollowUps = (petId, { session } = {}) =>
+  FollowUp.updateMany({ petId, status: 'scheduled' }, { status: 'cancelled' }, { session });
+
+/**
+ * Store the photo an adopter attaches to a check-in. Kept under the
+ * check-in's own prefix: it is not one of the pet's photos and must not
+ * depend on the pet still existing.
+ */
+export const storeFollowUpPhoto = (followUp, file) => storePhoto(`follow-ups/${followUp._id}`, file);
+
+/**
+ * Delete a pet's check-ins and their stored photos (when the pet is deleted)
+ */
+export const removeFollowUps = async (petId) => {
+  const followUps = await FollowUp.find({ petId }).select('photo');
+  await FollowUp.deleteMany({ petId });
+  await removePhotos(followUps.map(followUp => followUp.photo));
+};
+
+/**
+ * Query for scheduled check-ins past their grace period
+ */
+export const overdueFilter = (now = new Date()) => ({
+  status: 'scheduled',
+  dueAt: { $lt: new Date(now.getTime() - FOLLOW_UP_GRACE_DAYS * DAY_MS) }
+});
+
+/**
+ * Whether a check-in is past its grace period without a response
+ */
+export const isOverdue = (followUp, now = new Date()) =>
+  followUp.status === 'scheduled' && followUp.dueAt.getTime() < now.getTime() - FOLLOW_UP_GRACE_DAYS * DAY_MS;
+
+/**
+ * Whether the adopter can submit a check-in yet
+ */
+export const isOpen = (followUp, now = new Date()) =>
+  followUp.status === 'scheduled' && followUp.dueAt.getTime() - FOLLOW_UP_OPENS_DAYS_EARLY * DAY_MS <= now.getTime();
+
+/**
+ * Email adopters whose check-ins have come due and were not yet reminded.
+ * Returns the number of reminders sent.
+ */
+export const sendDueReminders = async ({ now = new Date(), dryRun = false } = {}) => {
+  const due = await FollowUp.find({ status: 'scheduled', dueAt: { $lte: now }, reminderSentAt: null })
+    .populate('adopterId', 'name email')
+    .populate('petId', 'name');
+
+  let sent = 0;
+  for (const followUp of due) {
+    if (!followUp.adopterId || !followUp.petId) continue;
+    if (dryRun) {
+      console.log(`Would remind ${followUp.adopterId.email} about ${followUp.petId.name} (${followUp.milestone})`);
+      continue;
+    }
+
+    try {
+      await sendMail({
+        to: followUp.adopterId.email,
+        ...followUpReminderEmail({
+          name: followUp.adopterId.name,
+          petName: followUp.petId.name,
+          formUrl: clientUrl(`/follow-ups/${followUp._id}`)
+        })
+      });
+      followUp.reminderSentAt = new Date();
+      await followUp.save();
+      sent += 1;
+    } catch (err) {
+      console.error(`Error sending check-in reminder ${followUp._id}:`, err);
+    }
+  }
+  return sent;
+};
@@ -0,0 +1,266 @@
+import FosterApplication from '../models/FosterApplication.js';
+import FosterPlacement from '../models/FosterPlacement.js';
+import Pet from '../models/Pet.js';
+import { runInTransaction } from './transactions.js';
+import { PET_STATUS, changePetStatus } from './adoptionWorkflow.js';
+import { AppError, InvalidTransitionError } from '../utils/errors.js';
+import { PERMISSIONS, hasPermission } from '../utils/permissions.js';
+
+// Statuses a pet can return to when its placement ends
+export const PLACEMENT_OUTCOME_STATUSES = [PET_STATUS.AVAILABLE, PET_STATUS.NOT_AVAILABLE];
+
+const isCoordinator = (actor) => hasPermission(actor.role, PERMISSIONS.FOSTERS_MANAGE);
+
+/**
+ * Whether `actor` may see a placement: its foster, or staff with
+ * fosters:manage
+ */
+export const canAccessPlacement = (placement, actor) =>
+  String(placement.fosterId._id || placement.fosterId) === String(actor.id) || isCoordinator(actor);
+
+// Map duplicate-key errors from the partial unique index to a 409
+const translateConflict = (err) => {
+  if (err.code === 11000) {
+    return new InvalidTransitionError('The pet is already in a foster placement');
+  }
+  return err;
+};
+
+/**
+ * Apply to become a foster parent
+ */
+export const applyToFoster = async (data, actor) => {
+  try {
+    return await FosterApplication.create({
+      userId: actor.id,
+      housingType: data.housingType,
+      hasYard: data.hasYard,
+      hasChildren: data.hasChildren,
+      otherPets: data.otherPets,
+      experience: data.experience,
+      speciesPreferences: data.speciesPreferences,
+      capacity: data.capacity,
+      availability: data.availability
+    });
+  } catch (err) {
+    // one_open_foster_application_per_user
+    if (err.code === 11000) {
+      throw new InvalidTransitionError('You already have a pending or approved foster application');
+    }
+    throw err;
+  }
+};
+
+// Throw if the foster still has animals in their care
+const assertNoActivePlacements = async (fosterId, message) => {
+  if (await FosterPlacement.exists({ fosterId, status: 'active' })) {
+    throw new InvalidTransitionError(message);
+  }
+};
+
+/**
+ * Approve or reject a foster application. An approved foster can later
+ * be rejected (approval revoked) once no animals are placed with them.
+ */
+export const reviewFosterApplication = async (applicationId, actor, { decision, reviewNotes }) => {
+  if (!['approved', 'rejected'].includes(decision)) {
+    throw new AppError('Decision must be approved or rejected', 400);
+  }
+
+  const application = await FosterApplication.findById(applicationId);
+  if (!application) {
+    throw new AppError('Foster application not found', 404);
+  }
+  const revoking = application.status === 'approved' && decision === 'rejected';
+  if (application.status !== 'pending' && !revoking) {
+    throw new InvalidTransitionError(`Foster application is already ${application.status}`);
+  }
+  if (revoking) {
+    await assertNoActivePlacements(application.userId, 'End or transfer this foster\'s placements before revoking their approval');
+  }
+
+  application.status = decision;
+  application.reviewedBy = actor.id;
+  application.reviewedAt = new Date();
+  application.reviewNotes = reviewNotes;
+  await application.save();
+
+  return application;
+};
+
+/**
+ * Withdraw a foster application (or step down as a foster) on behalf of
+ * its applicant
+ */
+export const withdrawFosterApplication = async (applicationId, actor) => {
+  const application = await FosterApplication.findById(applicationId);
+  if (!application || String(application.userId) !== String(actor.id)) {
+    throw new AppError('Foster application not found', 404);
+  }
+  if (!['pending', 'approved'].includes(application.status)) {
+    throw new InvalidTransitionError(`Foster application is already ${application.status}`);
+  }
+  await assertNoActivePlacements(application.userId, 'You still have animals in your care; contact the shelter to end those placements first');
+
+  application.status = 'withdrawn';
+  await application.save();
+
+  return application;
+};
+
+// Throw unless `fosterId` is an approved foster with room for `pet`
+const assertFosterCanTake = async (fosterId, pet, session) => {
+  const application = await FosterApplication.findOne({ userId: fosterId, status: 'approved' }).session(session);
+  if (!application) {
+    throw new AppError('User is not an approved foster', 400);
+  }
+  if (application.speciesPreferences.length > 0 && !application.speciesPreferences.includes(pet.species)) {
+    throw new AppError(`This foster only takes: ${application.speciesPreferences.join(', ')}`, 400);
+  }
+
+  const current = await FosterPlacement.countDocuments({ fosterId, status: 'active' }).session(session);
+  if (current >= application.capacity) {
+    throw new InvalidTransitionError(`This foster is at capacity (${application.capacity})`);
+  }
+};
+
+/**
+ * Place a pet with an approved foster; the pet becomes fostered. A pet
+ * already marked fostered without a placement (from before placements
+ * were recorded) can be given one this way.
+ */
+export const startPlacement = async ({ petId, fosterId, startDate, expectedEndDate, notes }, actor) => {
+  try {
+    return await runInTransaction(async (session) => {
+      const pet = await Pet.findById(petId).session(session);
+      if (!pet) {
+        throw new AppError('Pet not found', 404);
+      }
+      if (![...PLACEMENT_OUTCOME_STATUSES, PET_STATUS.FOSTERED].includes(pet.status)) {
+        throw new InvalidTransitionError(`Pet is '${pet.status}' and cannot go into foster care`);
+      }
+
+      await assertFosterCanTake(fosterId, pet, session);
+
+      const [placement] = await FosterPlacement.create([{
+        petId: pet._id,
+        fosterId,
+        startDate: startDate || new Date(),
+        expectedEndDate: expectedEndDate || null,
+        notes,
+        createdBy: actor.id
+      }], { session });
+
+      await changePetStatus(pet, PET_STATUS.FOSTERED, actor, { system: true, session });
+
+      return placement;
+    });
+  } catch (err) {
+    throw translateConflict(err);
+  }
+};
+
+// Load an active placement inside a transaction
+const loadActivePlacement = async (placementId, session) => {
+  const placement = await FosterPlacement.findById(placementId).session(session);
+  if (!placement) {
+    throw new AppError('Placement not found', 404);
+  }
+  if (placement.status !== 'active') {
+    throw new InvalidTransitionError('Placement has already ended');
+  }
+  return placement;
+};
+
+// Close a placement. Does not save.
+const closePlacement = (placement, actor, { reason, notes }) => {
+  placement.status = 'ended';
+  placement.endDate = new Date();
+  placement.endReason = reason;
+  placement.endNotes = notes;
+  placement.endedBy = actor.id;
+};
+
+/**
+ * End a placement and bring the pet back to the shelter with `status`
+ */
+export const endPlacement = (placementId, actor, { status = PET_STATUS.AVAILABLE, reason = 'completed', notes } = {}) =>
+  runInTransaction(async (session) => {
+    if (!PLACEMENT_OUTCOME_STATUSES.includes(status)) {
+      throw new AppError(`Status must be one of: ${PLACEMENT_OUTCOME_STATUSES.join(', ')}`, 400);
+    }
+    if (reason === 'transferred') {
+      throw new AppError('Use the transfer endpoint to move a pet to another foster', 400);
+    }
+
+    const placement = await loadActivePlacement(placementId, session);
+    closePlacement(placement, actor, { reason, notes });
+    await placement.save({ session });
+
+    const pet = await Pet.findById(placement.petId).session(session);
+    if (pet) {
+      await changePetStatus(pet, status, actor, { system: true, session });
+    }
+
+    return placement;
+  });
+
+/**
+ * Move a pet from its current foster to another approved foster. The old
+ * placement ends as transferred and links to the new one; the pet stays
+ * fostered throughout.
+ */
+export const transferPlacement = async (placementId, actor, { fosterId, expectedEndDate, notes }) => {
+  try {
+    return await runInTransaction(async (session) => {
+      const placement = await loadActivePlacement(placementId, session);
+      if (String(placement.fosterId) === String(fosterId)) {
+        throw new AppError('The pet is already with this foster', 400);
+      }
+
+      const pet = await Pet.findById(placement.petId).session(session);
+      if (!pet) {
+        throw new AppError('Pet not found', 404);
+      }
+      await assertFosterCanTake(fosterId, pet, session);
+
+      closePlacement(placement, actor, { reason: 'transferred', notes });
+      await placement.save({ session });
+
+      const [next] = await FosterPlacement.create([{
+        petId: pet._id,
+        fosterId,
+        startDate: placement.endDate,
+        expectedEndDate: expectedEndDate || null,
+        notes,
+        transferredFrom: placement._id,
+        createdBy: actor.id
+      }], { session });
+
+      placement.transferredTo = next._id;
+      await placement.save({ session });
+
+      return next;
+    });
+  } catch (err) {
+    throw translateConflict(err);
+  }
+};
+
+/**
+ * Add a progress note to an active placement (its foster or staff)
+ */
+export const addPlacementUpdate = async (placementId, actor, { note, weightKg }) => {
+  const placement = await FosterPlacement.findById(placementId);
+  if (!placement || !canAccessPlacement(placement, actor)) {
+    throw new AppError('Placement not found', 404);
+  }
+  if (placement.status !== 'active') {
+    throw new InvalidTransitionError('Placement has already ended');
+  }
+
+  placement.updates.push({ authorId: actor.id, note, weightKg });
+  await placement.save();
+
+  return placement;
+};
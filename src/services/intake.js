@@ -0,0 +1,141 @@
+import IntakeRequest from '../models/IntakeRequest.js';
+import Pet from '../models/Pet.js';
+import { runInTransaction } from './transactions.js';
+import { INITIAL_PET_STATUSES, PET_STATUS, returnPet } from './adoptionWorkflow.js';
+import { AppError, InvalidTransitionError } from '../utils/errors.js';
+
+// Fields the submitter fills in, for either type
+const pickSubmission = ({ reason, reasonDetails, background, health }) => ({
+  reason,
+  reasonDetails,
+  background,
+  health
+});
+
+// Load a request that is still awaiting review
+const loadOpenRequest = async (requestId, session) => {
+  const request = await IntakeRequest.findById(requestId).session(session || null);
+  if (!request) {
+    throw new AppError('Intake request not found', 404);
+  }
+  if (request.status !== 'submitted') {
+    throw new InvalidTransitionError(`Intake request is already ${request.status}`);
+  }
+  return request;
+};
+
+/**
+ * Ask the shelter to take in a pet the submitter owns
+ */
+export const submitSurrender = (data, actor) =>
+  IntakeRequest.create({
+    type: 'surrender',
+    submittedBy: actor.id,
+    petDetails: data.petDetails,
+    ...pickSubmission(data)
+  });
+
+/**
+ * Ask to return a pet the submitter adopted from the shelter
+ */
+export const submitReturn = async (data, actor) => {
+  const pet = await Pet.findById(data.petId);
+  if (!pet || pet.status !== PET_STATUS.ADOPTED || String(pet.adoptedBy) !== String(actor.id)) {
+    throw new AppError('You can only return a pet you adopted', 403);
+  }
+
+  try {
+    return await IntakeRequest.create({
+      type: 'return',
+      submittedBy: actor.id,
+      petId: pet._id,
+      ...pickSubmission(data)
+    });
+  } catch (err) {
+    // one_open_return_per_pet
+    if (err.code === 11000) {
+      throw new InvalidTransitionError('A return for this pet is already awaiting review');
+    }
+    throw err;
+  }
+};
+
+/**
+ * Accept a request and bring the pet into inventory with `status`
+ * (default not_available, pending a vet check). A return goes through
+ * returnPet; a surrender creates a pet from the submitted details, which
+ * staff may correct via `petOverrides`. The new pet has no photos yet.
+ */
+export const acceptIntakeRequest = (requestId, actor, { status = PET_STATUS.NOT_AVAILABLE, reviewNotes, petOverrides = {} } = {}) =>
+  runInTransaction(async (session) => {
+    if (!INITIAL_PET_STATUSES.includes(status)) {
+      throw new AppError(`Status must be one of: ${INITIAL_PET_STATUSES.join(', ')}`, 400);
+    }
+
+    const request = await loadOpenRequest(requestId, session);
+
+    if (request.type === 'return') {
+      const pet = await Pet.findById(request.petId).session(session);
+      if (!pet) {
+        throw new AppError('Pet not found', 404);
+      }
+      if (String(pet.adoptedBy) !== String(request.submittedBy)) {
+        throw new InvalidTransitionError('Pet is no longer adopted by the submitter');
+      }
+      await returnPet(pet, actor, { status, reason: request.reason, intakeRequestId: request._id, session });
+    } else {
+      const details = { ...request.petDetails.toObject(), ...petOverrides };
+      const [pet] = await Pet.create([{
+        name: details.name,
+        species: details.species,
+        breed: details.breed || 'Unknown',
+        age: details.age,
+        size: details.size || 'medium',
+        gender: details.gender || 'unknown',
+        healthStatus: details.healthStatus || 'good',
+        temperament: Array.isArray(details.temperament) ? details.temperament : [],
+        description: details.description,
+        status,
+        intakeRequestId: request._id
+      }], { session });
+      request.petId = pet._id;
+    }
+
+    request.status = 'accepted';
+    request.reviewedBy = actor.id;
+    request.reviewedAt = new Date();
+    request.reviewNotes = reviewNotes;
+    await request.save({ session });
+
+    return request;
+  });
+
+/**
+ * Turn a request down; the pet stays where it is
+ */
+export const declineIntakeRequest = async (requestId, actor, { reviewNotes } = {}) => {
+  const request = await loadOpenRequest(requestId);
+
+  request.status = 'declined';
+  request.reviewedBy = actor.id;
+  request.reviewedAt = new Date();
+  request.reviewNotes = reviewNotes;
+  await request.save();
+
+  return request;
+};
+
+/**
+ * Withdraw a request on behalf of its submitter
+ */
+export const withdrawIntakeRequest = async (requestId, actor) => {
+  const request = await loadOpenRequest(requestId);
+  if (String(request.submittedBy) !== String(actor.id)) {
+    throw new AppError('Only the submitter can withdraw this request', 403);
+  }
+
+  request.status = 'withdrawn';
+  await request.save();
+
+  return request;
+};
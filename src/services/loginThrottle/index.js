@@ -0,0 +1,149 @@
+import { createMemoryStore } from './memoryStore.js';
+import { createMongoStore } from './mongoStore.js';
+
+const MINUTE_MS = 60 * 1000;
+
+let store = null;
+
+/**
+ * Build the counter store selected by LOGIN_THROTTLE_STORE (memory by default)
+ */
+const createStore = () => {
+  const driver = process.env.LOGIN_THROTTLE_STORE || 'memory';
+
+  switch (driver) {
+    case 'memory':
+      return createMemoryStore();
+    case 'mongo':
+      return createMongoStore();
+    default:
+      throw new Error(`Unknown LOGIN_THROTTLE_STORE: ${driver}`);
+  }
+};
+
+/**
+ * Get the shared counter store (created lazily so dotenv has loaded)
+ */
+export const getThrottleStore = () => {
+  if (!store) {
+    store = createStore();
+  }
+  return store;
+};
+
+// Limits, read on each call so they follow the environment
+const settings = () => ({
+  maxAccountFailures: parseInt(process.env.LOGIN_MAX_ATTEMPTS) || 5,
+  maxIpFailures: parseInt(process.env.LOGIN_MAX_ATTEMPTS_PER_IP) || 20,
+  delayAfter: parseInt(process.env.LOGIN_DELAY_AFTER) || 3,
+  lockoutMs: (parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15) * MINUTE_MS,
+  windowMs: (parseInt(process.env.LOGIN_ATTEMPT_WINDOW_MINUTES) || 15) * MINUTE_MS
+});
+
+const MAX_DELAY_MS = 30 * 1000;
+
+/**
+ * Counter key for an account (by normalised email, so unknown emails are
+ * throttled exactly like real ones)
+ */
+export const accountKey = (email) => `account:${String(email || '').toLowerCase().trim()}`;
+
+/**
+ * Counter key for a client IP
+ */
+export const ipKey = (ip) => `ip:${ip}`;
+
+// Wait required after `failures` consecutive failures: 1s, 2s, 4s ... capped
+const progressiveDelay = (failures, delayAfter) => {
+  if (failures < delayAfter) return 0;
+  return Math.min(1000 * 2 ** (failures - delayAfter), MAX_DELAY_MS);
+};
+
+// Time at which the next attempt for a record is allowed, or null if now
+const blockedUntil = (record, { delayAfter }) => {
+  if (!record) return null;
+
+  const now = Date.now();
+  if (record.lockedUntil && new Date(record.lockedUntil).getTime() > now) {
+    return new Date(record.lockedUntil);
+  }
+
+  const delay = progressiveDelay(record.failures, delayAfter);
+  if (delay > 0 && record.lastFailureAt) {
+    const allowedAt = new Date(record.lastFailureAt).getTime() + delay;
+    if (allowedAt > now) return new Date(allowedAt);
+  }
+  return null;
+};
+
+/**
+ * Check whether a login attempt may proceed. Returns
+ * { allowed: true } or { allowed: false, retryAfter (seconds), locked }.
+ */
+export const checkLoginAllowed = async ({ email, ip }) => {
+  const config = settings();
+  const records = await Promise.all([
+    getThrottleStore().get(accountKey(email)),
+    getThrottleStore().get(ipKey(ip))
+  ]);
+
+  let until = null;
+  let locked = false;
+  for (const record of records) {
+    const blocked = blockedUntil(record, config);
+    if (blocked && (!until || blocked > until)) {
+      until = blocked;
+      locked = Boolean(record.lockedUntil && new Date(record.lockedUntil) >= blocked);
+    }
+  }
+
+  if (!until) return { allowed: true };
+  return {
+    allowed: false,
+    locked,
+    retryAfter: Math.max(1, Math.ceil((until.getTime() - Date.now()) / 1000))
+  };
+};
+
+/**
+ * Count a failed login against the account and the IP, locking either
+ * once it reaches its limit
+ */
+export const recordLoginFailure = async ({ email, ip }) => {
+  const config = settings();
+  const targets = [
+    { key: accountKey(email), max: config.maxAccountFailures },
+    { key: ipKey(ip), max: config.maxIpFailures }
+  ];
+
+  for (const { key, max } of targets) {
+    const record = await getThrottleStore().recordFailure(key, { ttlMs: config.windowMs });
+    if (record.failures >= max) {
+      await getThrottleStore().lock(key, new Date(Date.now() + config.lockoutMs));
+    }
+  }
+};
+
+/**
+ * Clear the account counter after a successful login. The IP counter is
+ * left alone so one valid account cannot reset an attacker's IP budget.
+ */
+export const recordLoginSuccess = ({ email }) =>
+  getThrottleStore().reset(accountKey(email));
+
+/**
+ * Lift a lockout on an account (admin action)
+ */
+export const unlockAccount = (email) =>
+  getThrottleStore().reset(accountKey(email));
+
+/**
+ * Current counter state for an account, for admin views
+ */
+export const getAccountLockStatus = async (email) => {
+  const record = await getThrottleStore().get(accountKey(email));
+  const lockedUntil = record && record.lockedUntil && new Date(record.lockedUntil) > new Date()
+    ? new Date(record.lockedUntil)
+    : null;
+  return { failures: record ? record.failures : 0, lockedUntil };
+};
@@ -0,0 +1,55 @@
+/**
+ * In-memory counter store. Fast and dependency-free, but counters are
+ * per-process and lost on restart.
+ */
+export const createMemoryStore = () => {
+  const records = new Map();
+
+  const read = (key) => {
+    const record = records.get(key);
+    if (record && record.expiresAt <= Date.now()) {
+      records.delete(key);
+      return null;
+    }
+    return record || null;
+  };
+
+  // Drop expired entries now and then so the map cannot grow unbounded
+  const sweep = setInterval(() => {
+    for (const key of records.keys()) read(key);
+  }, 60 * 1000);
+  sweep.unref();
+
+  return {
+    name: 'memory',
+
+    get: async (key) => {
+      const record = read(key);
+      return record ? { ...record } : null;
+    },
+
+    recordFailure: async (key, { ttlMs }) => {
+      const now = Date.now();
+      const record = read(key) || { failures: 0, lockedUntil: null };
+      record.failures += 1;
+      record.lastFailureAt = new Date(now);
+      record.expiresAt = now + ttlMs;
+      records.set(key, record);
+      return { ...record };
+    },
+
+    lock: async (key, until) => {
+      const record = read(key);
+      if (record) {
+        record.lockedUntil = until;
+        record.expiresAt = Math.max(record.expiresAt, until.getTime());
+      }
+    },
+
+    reset: async (key) => {
+      records.delete(key);
+    }
+  };
+};
+
+export default createMemoryStore;
@@ -0,0 +1,41 @@
+import LoginAttempt from '../../models/LoginAttempt.js';
+
+/**
+ * MongoDB-backed counter store, shared by every API instance
+ */
+export const createMongoStore = () => ({
+  name: 'mongo',
+
+  get: async (key) => {
+    const record = await LoginAttempt.findOne({ key, expiresAt: { $gt: new Date() } }).lean();
+    return record || null;
+  },
+
+  recordFailure: async (key, { ttlMs }) => {
+    const now = new Date();
+
+    // Start a fresh counter if the previous one has expired but not yet been purged
+    await LoginAttempt.deleteOne({ key, expiresAt: { $lte: now } });
+
+    return LoginAttempt.findOneAndUpdate(
+      { key },
+      {
+        $inc: { failures: 1 },
+        $set: { lastFailureAt: now },
+        $max: { expiresAt: new Date(now.getTime() + ttlMs) },
+        $setOnInsert: { lockedUntil: null }
+      },
+      { upsert: true, new: true, lean: true }
+    );
+  },
+
+  lock: async (key, until) => {
+    await LoginAttempt.updateOne({ key }, { $set: { lockedUntil: until }, $max: { expiresAt: until } });
+  },
+
+  reset: async (key) => {
+    await LoginAttempt.deleteOne({ key });
+  }
+});
+
+export default createMongoStore;
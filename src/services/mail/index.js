@@ -0,0 +1,63 @@
+import { createSmtpDriver } from './smtpDriver.js';
+import { createOutboxDriver } from './outboxDriver.js';
+
+let transport = null;
+
+/**
+ * Build the mail driver selected by MAIL_DRIVER (outbox by default)
+ */
+const createTransport = () => {
+  const driver = process.env.MAIL_DRIVER || 'outbox';
+
+  switch (driver) {
+    case 'smtp':
+      return createSmtpDriver({
+        host: process.env.SMTP_HOST,
+        port: parseInt(process.env.SMTP_PORT) || undefined,
+        secure: process.env.SMTP_SECURE === 'true',
+        user: process.env.SMTP_USER,
+        pass: process.env.SMTP_PASS
+      });
+    case 'outbox':
+      return createOutboxDriver({
+        outboxDir: process.env.MAIL_OUTBOX_DIR || 'outbox'
+      });
+    default:
+      throw new Error(`Unknown MAIL_DRIVER: ${driver}`);
+  }
+};
+
+/**
+ * Get the shared mail driver (created lazily so dotenv has loaded)
+ */
+export const getMailTransport = () => {
+  if (!transport) {
+    transport = createTransport();
+  }
+  return transport;
+};
+
+/**
+ * Send a message built by one of the templates
+ */
+export const sendMail = ({ to, subject, text, html }) =>
+  getMailTransport().send({
+    from: process.env.MAIL_FROM || 'Pet Adoption <no-reply@petadoption.com>',
+    to,
+    subject,
+    text,
+    html
+  });
+
+/**
+ * Build a link into the client application
+ */
+export const clientUrl = (pathname, params = {}) => {
+  const url = new URL(pathname, process.env.CLIENT_URL || process.env.CORS_ORIGIN || 'http://localhost:3000');
+  for (const [key, value] of Object.entries(params)) {
+    url.searchParams.set(key, value);
+  }
+  return url.toString();
+};
+
+export default sendMail;
@@ -0,0 +1,32 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+
+/**
+ * Development mail driver. Messages are written as JSON files to an outbox
+ * directory and summarised on the console instead of being delivered.
+ */
+export const createOutboxDriver = ({ outboxDir }) => {
+  const root = path.resolve(outboxDir);
+
+  return {
+    name: 'outbox',
+
+    /**
+     * Write a message to the outbox
+     */
+    send: async (message) => {
+      const id = `${Date.now()}-${crypto.randomUUID()}`;
+      await fs.promises.mkdir(root, { recursive: true });
+      await fs.promises.writeFile(
+        path.join(root, `${id}.json`),
+        JSON.stringify({ id, sentAt: new Date().toISOString(), ...message }, null, 2)
+      );
+
+      console.log(`📧 Mail to ${message.to}: "${message.subject}" (${path.join(outboxDir, `${id}.json`)})`);
+      return { id };
+    }
+  };
+};
+
+export default createOutboxDriver;
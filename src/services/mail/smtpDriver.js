@@ -0,0 +1,31 @@
+import nodemailer from 'nodemailer';
+
+/**
+ * SMTP mail driver backed by nodemailer
+ */
+export const createSmtpDriver = ({ host, port, secure, user, pass }) => {
+  if (!host) {
+    throw new Error('SMTP_HOST is required for the smtp mail driver');
+  }
+
+  const transporter = nodemailer.createTransport({
+    host,
+    port: port || 587,
+    secure: Boolean(secure),
+    ...(user && { auth: { user, pass } })
+  });
+
+  return {
+    name: 'smtp',
+
+    /**
+     * Deliver a message
+     */
+    send: async (message) => {
+      const info = await transporter.sendMail(message);
+      return { id: info.messageId };
+    }
+  };
+};
+
+export default createSmtpDriver;
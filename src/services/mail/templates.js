@@ -0,0 +1,101 @@
+/**
+ * Mail templates. Each returns { subject, text, html } for sendMail().
+ */
+
+const escapeHtml = (value) =>
+  String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+/**
+ * Email address verification link
+ */
+export const verificationEmail = ({ name, verifyUrl, expiresInHours }) => ({
+  subject: 'Verify your Pet Adoption email address',
+  text: [
+    `Hi ${name},`,
+    '',
+    'Welcome to Pet Adoption! Please confirm your email address by opening the link below:',
+    verifyUrl,
+    '',
+    `The link expires in ${expiresInHours} hours. You need a verified email to apply for a pet.`
+  ].join('\n'),
+  html: `<p>Hi ${escapeHtml(name)},</p>
+<p>Welcome to Pet Adoption! Please confirm your email address by clicking the link below:</p>
+<p><a href="${escapeHtml(verifyUrl)}">Verify my email</a></p>
+<p>The link expires in ${expiresInHours} hours. You need a verified email to apply for a pet.</p>`
+});
+
+/**
+ * Password reset link
+ */
+export const passwordResetEmail = ({ name, resetUrl, expiresInMinutes }) => ({
+  subject: 'Reset your Pet Adoption password',
+  text: [
+    `Hi ${name},`,
+    '',
+    'We received a request to reset your password. Open the link below to choose a new one:',
+    resetUrl,
+    '',
+    `The link expires in ${expiresInMinutes} minutes and can only be used once.`,
+    'If you did not request this, you can ignore this email.'
+  ].join('\n'),
+  html: `<p>Hi ${escapeHtml(name)},</p>
+<p>We received a request to reset your password. Click the link below to choose a new one:</p>
+<p><a href="${escapeHtml(resetUrl)}">Reset my password</a></p>
+<p>The link expires in ${expiresInMinutes} minutes and can only be used once.
+If you did not request this, you can ignore this email.</p>`
+});
+
+/**
+ * Confirmation that a password was changed
+ */
+export const passwordChangedEmail = ({ name }) => ({
+  subject: 'Your Pet Adoption password was changed',
+  text: [
+    `Hi ${name},`,
+    '',
+    'Your password was just changed and all other sessions were signed out.',
+    'If this was not you, reset your password immediately and contact support.'
+  ].join('\n'),
+  html: `<p>Hi ${escapeHtml(name)},</p>
+<p>Your password was just changed and all other sessions were signed out.</p>
+<p>If this was not you, reset your password immediately and contact support.</p>`
+});
+
+/**
+ * Another applicant was chosen for the pet
+ */
+export const applicationNotSelectedEmail = ({ name, petName }) => ({
+  subject: `Update on your application for ${petName}`,
+  text: [
+    `Hi ${name},`,
+    '',
+    `Thank you for applying to adopt ${petName}. ${petName} has now been matched with another family, so your application was not selected.`,
+    'We would love to help you find another companion - take a look at the pets still waiting for a home.'
+  ].join('\n'),
+  html: `<p>Hi ${escapeHtml(name)},</p>
+<p>Thank you for applying to adopt ${escapeHtml(petName)}. ${escapeHtml(petName)} has now been matched with another family, so your application was not selected.</p>
+<p>We would love to help you find another companion - take a look at the pets still waiting for a home.</p>`
+});
+
+/**
+ * Post-adoption check-in is due
+ */
+export const followUpReminderEmail = ({ name, petName, formUrl }) => ({
+  subject: `How is ${petName} settling in?`,
+  text: [
+    `Hi ${name},`,
+    '',
+    `It's time for ${petName}'s check-in. Tell us how things are going, share a photo and let us know if anything is worrying you:`,
+    formUrl,
+    '',
+    'Our team reads every check-in and is here to help if you run into problems.'
+  ].join('\n'),
+  html: `<p>Hi ${escapeHtml(name)},</p>
+<p>It's time for ${escapeHtml(petName)}'s check-in. Tell us how things are going, share a photo and let us know if anything is worrying you:</p>
+<p><a href="${escapeHtml(formUrl)}">Fill in the check-in</a></p>
+<p>Our team reads every check-in and is here to help if you run into problems.</p>`
+});
@@ -0,0 +1,187 @@
+import MedicalRecord from '../models/MedicalRecord.js';
+import Pet from '../models/Pet.js';
+import { PET_STATUS } from './adoptionWorkflow.js';
+import { AppError } from '../utils/errors.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Repeating sections of a record and the fields staff may set on their
+ * entries
+ */
+export const RECORD_SECTIONS = {
+  vaccinations: ['name', 'administeredAt', 'nextDueAt', 'batchNumber', 'administeredBy'],
+  medications: ['name', 'dosage', 'frequency', 'startDate', 'endDate', 'notes'],
+  weights: ['weightKg', 'measuredAt'],
+  visits: ['date', 'vetName', 'reason', 'diagnosis', 'notes']
+};
+
+// Single-valued fields of a record
+const RECORD_FIELDS = ['sterilization', 'sterilizedAt', 'microchip', 'allergies'];
+
+// Default and largest look-ahead for the vaccinations-due report
+export const DEFAULT_DUE_WINDOW_DAYS = 30;
+export const MAX_DUE_WINDOW_DAYS = 365;
+
+const pick = (data, fields) =>
+  Object.fromEntries(fields.filter(field => data[field] !== undefined).map(field => [field, data[field]]));
+
+// Load the pet's record, creating an empty one on first write
+const loadRecordForWrite = async (petId) => {
+  if (!(await Pet.exists({ _id: petId }))) {
+    throw new AppError('Pet not found', 404);
+  }
+  return MedicalRecord.findOneAndUpdate(
+    { petId },
+    { $setOnInsert: { petId } },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+};
+
+const assertSection = (section) => {
+  if (!RECORD_SECTIONS[section]) {
+    throw new AppError(`Section must be one of: ${Object.keys(RECORD_SECTIONS).join(', ')}`, 400);
+  }
+};
+
+const findEntry = (record, section, entryId) => {
+  const entry = record[section].id(entryId);
+  if (!entry) {
+    throw new AppError('Record entry not found', 404);
+  }
+  return entry;
+};
+
+/**
+ * Set the single-valued fields (sterilization, microchip, allergies)
+ */
+export const updateRecordDetails = async (petId, data) => {
+  const record = await loadRecordForWrite(petId);
+  record.set(pick(data, RECORD_FIELDS));
+  await record.save();
+  return record;
+};
+
+/**
+ * Append an entry (a vaccination, medication, weight or vet visit)
+ */
+export const addEntry = async (petId, section, data, actor) => {
+  assertSection(section);
+  const record = await loadRecordForWrite(petId);
+  record[section].push({ ...pick(data, RECORD_SECTIONS[section]), recordedBy: actor.id });
+  await record.save();
+  return record;
+};
+
+/**
+ * Correct an entry, or close it (e.g. set a medication's endDate)
+ */
+export const updateEntry = async (petId, section, entryId, data) => {
+  assertSection(section);
+  const record = await MedicalRecord.findOne({ petId });
+  if (!record) {
+    throw new AppError('Record entry not found', 404);
+  }
+  findEntry(record, section, entryId).set(pick(data, RECORD_SECTIONS[section]));
+  await record.save();
+  return record;
+};
+
+/**
+ * Remove an entry recorded in error
+ */
+export const removeEntry = async (petId, section, entryId) => {
+  assertSection(section);
+  const record = await MedicalRecord.findOne({ petId });
+  if (!record) {
+    throw new AppError('Record entry not found', 404);
+  }
+  findEntry(record, section, entryId).deleteOne();
+  await record.save();
+  return record;
+};
+
+/**
+ * Most recent dose of each vaccine, keyed by lower-cased name
+ */
+export const latestVaccinations = (record) => {
+  const latest = new Map();
+  for (const dose of record.vaccinations) {
+    const key = dose.name.toLowerCase();
+    const current = latest.get(key);
+    if (!current || dose.administeredAt > current.administeredAt) {
+      latest.set(key, dose);
+    }
+  }
+  return [...latest.values()];
+};
+
+/**
+ * What adopters may see about a pet's health: no microchip number, vet
+ * notes, diagnoses or medication names. Null when no record exists.
+ */
+export const healthSummary = (record, now = new Date()) => {
+  if (!record) return null;
+
+  const vaccinations = latestVaccinations(record).map(dose => ({
+    name: dose.name,
+    lastGivenAt: dose.administeredAt,
+    upToDate: !dose.nextDueAt || dose.nextDueAt > now
+  }));
+  const latestWeight = record.weights.reduce(
+    (latest, weight) => (!latest || weight.measuredAt > latest.measuredAt ? weight : latest),
+    null
+  );
+  const lastVisit = record.visits.reduce(
+    (latest, visit) => (!latest || visit.date > latest ? visit.date : latest),
+    null
+  );
+
+  return {
+    spayedNeutered: record.sterilization === 'unknown' ? null : record.sterilization !== 'intact',
+    microchipped: Boolean(record.microchip && record.microchip.number),
+    vaccinations,
+    vaccinationsUpToDate: vaccinations.length === 0 ? null : vaccinations.every(dose => dose.upToDate),
+    onMedication: record.medications.some(medication =>
+      medication.startDate <= now && (!medication.endDate || medication.endDate > now)
+    ),
+    latestWeightKg: latestWeight ? latestWeight.weightKg : null,
+    lastVetVisitAt: lastVisit
+  };
+};
+
+/**
+ * Vaccines whose latest dose falls due within `days` (overdue ones
+ * included), for pets still in the shelter's care, soonest first
+ */
+export const vaccinationsDue = async ({ days = DEFAULT_DUE_WINDOW_DAYS, now = new Date() } = {}) => {
+  const until = new Date(now.getTime() + days * DAY_MS);
+
+  const due = await MedicalRecord.aggregate([
+    { $match: { 'vaccinations.nextDueAt': { $ne: null, $lte: until } } },
+    { $unwind: '$vaccinations' },
+    { $sort: { 'vaccinations.administeredAt': -1 } },
+    {
+      $group: {
+        _id: { petId: '$petId', name: { $toLower: '$vaccinations.name' } },
+        latest: { $first: '$vaccinations' }
+      }
+    },
+    { $match: { 'latest.nextDueAt': { $ne: null, $lte: until } } },
+    { $lookup: { from: 'pets', localField: '_id.petId', foreignField: '_id', as: 'pet' } },
+    { $unwind: '$pet' },
+    { $match: { 'pet.status': { $ne: PET_STATUS.ADOPTED } } },
+    { $sort: { 'latest.nextDueAt': 1 } },
+    {
+      $project: {
+        _id: 0,
+        pet: { _id: '$pet._id', name: '$pet.name', species: '$pet.species', status: '$pet.status' },
+        vaccine: '$latest.name',
+        lastGivenAt: '$latest.administeredAt',
+        dueAt: '$latest.nextDueAt'
+      }
+    }
+  ]);
+
+  return due.map(entry => ({ ...entry, overdue: entry.dueAt < now }));
+};
@@ -0,0 +1,142 @@
+import sharp from 'sharp';
+import { getStorage, buildKey } from './storage/index.js';
+
+/**
+ * Responsive variants generated for every pet photo. Each one fits inside
+ * a square of the given size and is never upscaled.
+ */
+export const PHOTO_VARIANTS = {
+  thumbnail: 200,
+  medium: 600,
+  large: 1200
+};
+
+/**
+ * Stored image for a photo at the requested size. Variants missing on
+ * older photos fall back to the full-size image.
+ */
+export const resolvePhotoImage = (photo, size) => {
+  const variant = size && photo.variants && photo.variants[size];
+  return variant && variant.key ? variant : photo;
+};
+
+// Formats kept as-is for the full-size image; anything else is re-encoded
+const PASSTHROUGH_FORMATS = ['jpeg', 'png', 'webp', 'gif'];
+
+const processingError = (file) => {
+  const error = new Error(`Could not process image '${file.originalname}'`);
+  error.statusCode = 400;
+  return error;
+};
+
+/**
+ * Normalise an upload and render its variants. `rotate()` applies the EXIF
+ * orientation, and sharp drops all metadata (EXIF, GPS) unless asked to keep it.
+ */
+export const processPhoto = async (buffer) => {
+  const metadata = await sharp(buffer).metadata();
+  const format = PASSTHROUGH_FORMATS.includes(metadata.format)
+    ? metadata.format
+    : (metadata.hasAlpha ? 'png' : 'jpeg');
+
+  const original = await sharp(buffer, { animated: format === 'gif' })
+    .rotate()
+    .toFormat(format)
+    .toBuffer({ resolveWithObject: true });
+
+  const variants = {};
+  for (const [name, size] of Object.entries(PHOTO_VARIANTS)) {
+    variants[name] = await sharp(buffer)
+      .rotate()
+      .resize(size, size, { fit: 'inside', withoutEnlargement: true })
+      .webp({ quality: 80 })
+      .toBuffer({ resolveWithObject: true });
+  }
+
+  return { original, variants };
+};
+
+// Store one rendered image and return its metadata
+const storeRendered = async (prefix, { data, info }) => {
+  const contentType = `image/${info.format}`;
+  const key = buildKey(prefix, contentType);
+  await getStorage().put(key, data, { contentType });
+  return { key, contentType, size: info.size, width: info.width, height: info.height };
+};
+
+/**
+ * All storage keys belonging to a photo (full size plus variants)
+ */
+export const photoKeys = (photo) => {
+  const keys = photo.key ? [photo.key] : [];
+  for (const variant of Object.values(photo.variants || {})) {
+    if (variant && variant.key) keys.push(variant.key);
+  }
+  return keys;
+};
+
+/**
+ * Best-effort removal of stored photos; failures are logged, not thrown
+ */
+export const removePhotos = async (photos) => {
+  for (const photo of photos) {
+    if (!photo) continue;
+    for (const key of photoKeys(photo)) {
+      try {
+        await getStorage().delete(key);
+      } catch (err) {
+        console.error('Error removing stored photo:', err);
+      }
+    }
+  }
+};
+
+/**
+ * Render and store variants for an already normalised image buffer
+ */
+export const storePhotoVariants = async (petId, buffer) => {
+  const { variants } = await processPhoto(buffer);
+  const stored = {};
+  try {
+    for (const [name, rendered] of Object.entries(variants)) {
+      stored[name] = await storeRendered(`pets/${petId}/${name}`, rendered);
+    }
+  } catch (err) {
+    await removePhotos([{ variants: stored }]);
+    throw err;
+  }
+  return stored;
+};
+
+/**
+ * Process an uploaded file and write the full-size image plus all
+ * variants to storage under `prefix`. Returns the photo metadata.
+ */
+export const storePhoto = async (prefix, file) => {
+  let processed;
+  try {
+    processed = await processPhoto(file.buffer);
+  } catch (err) {
+    console.error('Error processing photo:', err);
+    throw processingError(file);
+  }
+
+  const photo = { variants: {} };
+  try {
+    Object.assign(photo, await storeRendered(prefix, processed.original));
+    for (const [name, rendered] of Object.entries(processed.variants)) {
+      photo.variants[name] = await storeRendered(`${prefix}/${name}`, rendered);
+    }
+  } catch (err) {
+    await removePhotos([photo]);
+    throw err;
+  }
+
+  return photo;
+};
+
+/**
+ * Store an uploaded photo for a pet. Returns the metadata for an entry in
+ * Pet.photos.
+ */
+export const storePetPhoto = (petId, file) => storePhoto(`pets/${petId}`, file);
@@ -0,0 +1,208 @@
+import validator from 'validator';
+import Pet from '../models/Pet.js';
+import { validationUtils } from '../utils/validation.js';
+import { distanceKm, roundKm, withinRadius } from '../utils/geo.js';
+
+/**
+ * Relevance-ranked pet search over name, breed and description. Uses the
+ * pet_text_search index (stemmed, so "puppies" finds "puppy"); when that
+ * finds nothing, falls back to word-prefix matching so partial input
+ * ("lab", "goldi") still returns results while the user is typing.
+ * User input never reaches a regex or $text unescaped. Location search
+ * (findPetsNear) lives here too, as it shares the listing's filters.
+ */
+
+// Field weights; keep in step with the text index in models/Pet.js
+export const SEARCH_WEIGHTS = { name: 10, breed: 5, description: 1 };
+
+const MAX_TERMS = 8;
+const MAX_TERM_LENGTH = 30;
+
+// Characters of context kept either side of a description match
+const SNIPPET_CONTEXT = 60;
+
+/**
+ * Split free text into at most MAX_TERMS distinct lower-cased words.
+ * Drops everything but letters and digits, so $text operators (quotes,
+ * leading '-') cannot be injected.
+ */
+export const tokenize = (query) => {
+  const words = String(query || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+  return [...new Set(words.map(word => word.slice(0, MAX_TERM_LENGTH)))].slice(0, MAX_TERMS);
+};
+
+// Case-insensitive regex for words starting with `term`
+const wordPrefix = (term) => new RegExp(`(?:^|[^\\p{L}\\p{N}])${validationUtils.escapeRegex(term)}`, 'iu');
+
+// Stems differ from the typed word ("puppies" → "puppi" ~ "puppy"), so in
+// text mode highlight words sharing most of the term
+const highlightStem = (term, mode) =>
+  mode === 'text' ? term.slice(0, Math.max(3, term.length - 3)) : term;
+
+/**
+ * HTML-escape `text` and wrap words starting with any of `stems` in <mark>.
+ * Returns null when nothing matched.
+ */
+export const highlight = (text, stems) => {
+  if (!text || stems.length === 0) return null;
+
+  const pattern = new RegExp(
+    `(^|[^\\p{L}\\p{N}])(${stems.map(validationUtils.escapeRegex).join('|')})([\\p{L}\\p{N}]*)`,
+    'giu'
+  );
+  let matched = false;
+  let html = '';
+  let last = 0;
+  for (const match of text.matchAll(pattern)) {
+    const start = match.index + match[1].length;
+    html += validator.escape(text.slice(last, start));
+    html += `<mark>${validator.escape(match[2] + match[3])}</mark>`;
+    last = start + match[2].length + match[3].length;
+    matched = true;
+  }
+  return matched ? html + validator.escape(text.slice(last)) : null;
+};
+
+// Cut a long description down to the text around its first match
+const snippet = (text, stems) => {
+  const first = stems
+    .map(stem => text.search(wordPrefix(stem)))
+    .filter(index => index !== -1)
+    .reduce((min, index) => Math.min(min, index), Infinity);
+  if (first === Infinity) return text;
+
+  const start = Math.max(0, first - SNIPPET_CONTEXT);
+  const end = Math.min(text.length, first + SNIPPET_CONTEXT * 2);
+  return `${start > 0 ? '…' : ''}${text.slice(start, end)}${end < text.length ? '…' : ''}`;
+};
+
+// Highlighted name, breed and description excerpt, for fields that matched
+const buildHighlights = (pet, terms, mode) => {
+  const stems = terms.map(term => highlightStem(term, mode));
+  const highlights = {};
+  for (const field of Object.keys(SEARCH_WEIGHTS)) {
+    const value = pet[field];
+    if (!value) continue;
+    const html = highlight(field === 'description' ? snippet(value, stems) : value, stems);
+    if (html) highlights[field] = html;
+  }
+  return highlights;
+};
+
+// Relevance of a prefix match as an aggregation expression: weighted
+// fields hit, plus a bonus when the name starts with the term
+const prefixScore = (terms) => ({
+  $add: terms.flatMap((term) => {
+    const escaped = validationUtils.escapeRegex(term);
+    const matches = (field, regex) => ({
+      $regexMatch: { input: { $ifNull: [`$${field}`, ''] }, regex, options: 'i' }
+    });
+    return [
+      ...Object.entries(SEARCH_WEIGHTS).map(([field, weight]) => ({
+        $cond: [matches(field, wordPrefix(term).source), weight, 0]
+      })),
+      { $cond: [matches('name', `^${escaped}`), SEARCH_WEIGHTS.name / 2, 0] }
+    ];
+  })
+});
+
+const present = (pet, score, terms, mode, near) => ({
+  ...pet.toJSON(),
+  score: Math.round(score * 100) / 100,
+  highlights: buildHighlights(pet, terms, mode),
+  ...(near && pet.location && { distanceKm: roundKm(distanceKm(near, pet.location)) })
+});
+
+const textSearch = async (filter, terms, { page, limit, near }) => {
+  const query = { ...filter, $text: { $search: terms.join(' ') } };
+  const [pets, total] = await Promise.all([
+    Pet.find(query)
+      .select({ score: { $meta: 'textScore' } })
+      .sort({ score: { $meta: 'textScore' }, createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit),
+    Pet.countDocuments(query)
+  ]);
+  return { pets: pets.map(pet => present(pet, pet.get('score'), terms, 'text', near)), total };
+};
+
+// Every term must prefix a word in at least one field
+const prefixSearch = async (filter, terms, { page, limit, near }) => {
+  const query = {
+    ...filter,
+    $and: terms.map(term => ({
+      $or: Object.keys(SEARCH_WEIGHTS).map(field => ({ [field]: wordPrefix(term) }))
+    }))
+  };
+  const [ranked, total] = await Promise.all([
+    Pet.aggregate([
+      { $match: query },
+      { $addFields: { prefixScore: prefixScore(terms) } },
+      { $sort: { prefixScore: -1, createdAt: -1 } },
+      { $skip: (page - 1) * limit },
+      { $limit: limit }
+    ]),
+    Pet.countDocuments(query)
+  ]);
+
+  return {
+    pets: ranked.map(({ prefixScore: score, ...doc }) => present(Pet.hydrate(doc), score, terms, 'prefix', near)),
+    total
+  };
+};
+
+/**
+ * Search pets matching `filter` for `query`, most relevant first. Each
+ * result carries `score` and `highlights` (HTML-escaped, matches wrapped
+ * in <mark>). `mode` says which strategy produced the results: 'text', or
+ * 'prefix' when full-word search found nothing. With `near` (a GeoJSON
+ * Point) and `radiusKm`, only pets within the radius match and each gets
+ * `distanceKm`; results stay in relevance order. Returns null when the
+ * query has no searchable words.
+ */
+export const searchPets = async (query, filter, { page, limit, near, radiusKm }) => {
+  const terms = tokenize(query);
+  if (terms.length === 0) return null;
+
+  const scoped = near ? { ...filter, location: withinRadius(near, radiusKm) } : filter;
+
+  const text = await textSearch(scoped, terms, { page, limit, near });
+  if (text.total > 0) {
+    return { ...text, mode: 'text', terms };
+  }
+
+  const prefix = await prefixSearch(scoped, terms, { page, limit, near });
+  return { ...prefix, mode: 'prefix', terms };
+};
+
+/**
+ * Pets matching `filter` within `radiusKm` of `near` (a GeoJSON Point),
+ * nearest first, each with `distanceKm`. Pets without a shelter location
+ * never match.
+ */
+export const findPetsNear = async (filter, near, radiusKm, { page, limit }) => {
+  const [docs, total] = await Promise.all([
+    Pet.aggregate([
+      {
+        $geoNear: {
+          near,
+          distanceField: 'distance',
+          maxDistance: radiusKm * 1000,
+          spherical: true,
+          query: filter
+        }
+      },
+      { $skip: (page - 1) * limit },
+      { $limit: limit }
+    ]),
+    Pet.countDocuments({ ...filter, location: withinRadius(near, radiusKm) })
+  ]);
+
+  return {
+    pets: docs.map(({ distance, ...doc }) => ({
+      ...Pet.hydrate(doc).toJSON(),
+      distanceKm: roundKm(distance / 1000)
+    })),
+    total
+  };
+};
@@ -0,0 +1,169 @@
+import Questionnaire from '../models/Questionnaire.js';
+import { AppError, FieldValidationError } from '../utils/errors.js';
+import { runInTransaction } from './transactions.js';
+
+/**
+ * The questionnaire applicants for a species must answer: the species'
+ * own current version, else the generic one, else null (none required)
+ */
+export const getCurrentQuestionnaire = async (species, { session } = {}) => {
+  const candidates = await Questionnaire.find({
+    isCurrent: true,
+    species: { $in: [species, null] }
+  }).session(session || null);
+
+  return candidates.find(q => q.species === species)
+    || candidates.find(q => q.species === null)
+    || null;
+};
+
+/**
+ * Publish a questionnaire as the next version for its species, replacing
+ * the current one
+ */
+export const publishQuestionnaire = ({ species = null, title, description, questions }, actor) =>
+  runInTransaction(async (session) => {
+    const latest = await Questionnaire.findOne({ species })
+      .sort({ version: -1 })
+      .session(session);
+
+    await Questionnaire.updateMany(
+      { species, isCurrent: true },
+      { isCurrent: false, retiredAt: new Date() },
+      { session }
+    );
+
+    const [questionnaire] = await Questionnaire.create([{
+      species,
+      version: latest ? latest.version + 1 : 1,
+      title,
+      description,
+      questions,
+      isCurrent: true,
+      createdBy: actor.id
+    }], { session });
+
+    return questionnaire;
+  });
+
+/**
+ * Stop asking a questionnaire. Applications already holding answers to it
+ * keep them.
+ */
+export const retireQuestionnaire = async (questionnaireId) => {
+  const questionnaire = await Questionnaire.findById(questionnaireId);
+  if (!questionnaire) {
+    throw new AppError('Questionnaire not found', 404);
+  }
+  if (!questionnaire.isCurrent) {
+    throw new AppError('Questionnaire is already retired', 400);
+  }
+
+  questionnaire.isCurrent = false;
+  questionnaire.retiredAt = new Date();
+  await questionnaire.save();
+  return questionnaire;
+};
+
+const isBlank = (value) =>
+  value === undefined || value === null ||
+  (typeof value === 'string' && value.trim() === '') ||
+  (Array.isArray(value) && value.length === 0);
+
+const outOfRange = (n, { min, max }) =>
+  (min !== undefined && min !== null && n < min) || (max !== undefined && max !== null && n > max);
+
+// Coerce one answer to its question's type; returns { value } or { error }
+const coerceAnswer = (question, raw) => {
+  switch (question.type) {
+    case 'text':
+    case 'textarea': {
+      if (typeof raw !== 'string') return { error: 'must be text' };
+      const value = raw.trim();
+      if (outOfRange(value.length, question)) {
+        return { error: `must be between ${question.min ?? 0} and ${question.max ?? '∞'} characters` };
+      }
+      return { value };
+    }
+    case 'number': {
+      const value = typeof raw === 'number' ? raw : Number(raw);
+      if (typeof raw === 'boolean' || !Number.isFinite(value)) return { error: 'must be a number' };
+      if (outOfRange(value, question)) {
+        return { error: `must be between ${question.min ?? '-∞'} and ${question.max ?? '∞'}` };
+      }
+      return { value };
+    }
+    case 'boolean': {
+      if (raw === true || raw === 'true') return { value: true };
+      if (raw === false || raw === 'false') return { value: false };
+      return { error: 'must be true or false' };
+    }
+    case 'select': {
+      if (!question.options.includes(raw)) {
+        return { error: `must be one of: ${question.options.join(', ')}` };
+      }
+      return { value: raw };
+    }
+    case 'multiselect': {
+      const values = Array.isArray(raw) ? raw : [raw];
+      if (!values.every(v => question.options.includes(v))) {
+        return { error: `must only contain: ${question.options.join(', ')}` };
+      }
+      const value = [...new Set(values)];
+      if (outOfRange(value.length, question)) {
+        return { error: `must have between ${question.min ?? 0} and ${question.max ?? question.options.length} choices` };
+      }
+      return { value };
+    }
+    case 'date': {
+      const value = new Date(raw);
+      if (typeof raw === 'boolean' || Number.isNaN(value.getTime())) return { error: 'must be a date' };
+      return { value };
+    }
+    default:
+      return { error: `has unsupported type '${question.type}'` };
+  }
+};
+
+/**
+ * Check answers ({ questionKey: value }) against a questionnaire and
+ * return them normalised for storage as [{ key, label, value }]. Throws
+ * FieldValidationError listing every problem.
+ */
+export const validateAnswers = (questionnaire, answers = {}) => {
+  if (answers === null || typeof answers !== 'object' || Array.isArray(answers)) {
+    throw new FieldValidationError([{ field: 'answers', message: 'Answers must be an object keyed by question' }]);
+  }
+
+  const errors = [];
+  const normalised = [];
+  const known = new Set(questionnaire.questions.map(q => q.key));
+
+  for (const key of Object.keys(answers)) {
+    if (!known.has(key)) {
+      errors.push({ field: `answers.${key}`, message: 'Unknown question' });
+    }
+  }
+
+  for (const question of questionnaire.questions) {
+    const raw = answers[question.key];
+    if (isBlank(raw)) {
+      if (question.required) {
+        errors.push({ field: `answers.${question.key}`, message: `${question.label} is required` });
+      }
+      continue;
+    }
+
+    const { value, error } = coerceAnswer(question, raw);
+    if (error) {
+      errors.push({ field: `answers.${question.key}`, message: `${question.label} ${error}` });
+    } else {
+      normalised.push({ key: question.key, label: question.label, value });
+    }
+  }
+
+  if (errors.length > 0) {
+    throw new FieldValidationError(errors, 'Questionnaire answers are invalid');
+  }
+  return normalised;
+};
@@ -0,0 +1,72 @@
+import Shelter from '../models/Shelter.js';
+import Pet from '../models/Pet.js';
+import { AppError, InvalidTransitionError } from '../utils/errors.js';
+import { validationUtils } from '../utils/validation.js';
+
+// Fields staff may set on a shelter
+const SHELTER_FIELDS = ['name', 'address', 'location', 'phone', 'email', 'isActive'];
+
+const pick = (data) =>
+  Object.fromEntries(SHELTER_FIELDS.filter(field => data[field] !== undefined).map(field => [field, data[field]]));
+
+/**
+ * Shelter assignment for a pet: `{ shelterId, location }` to store on it.
+ * An empty `shelterId` unassigns the pet (location undefined). Inactive
+ * shelters take no new pets; `currentShelterId` (the pet's shelter) may
+ * be passed back unchanged.
+ */
+export const resolveShelterAssignment = async (shelterId, { currentShelterId = null } = {}) => {
+  if (!shelterId || shelterId === 'null') {
+    return { shelterId: null, location: undefined };
+  }
+  if (!validationUtils.validateObjectId(String(shelterId))) {
+    throw new AppError('Invalid shelter ID format', 400);
+  }
+
+  const shelter = await Shelter.findById(shelterId).select('location isActive');
+  if (!shelter) {
+    throw new AppError('Shelter not found', 400);
+  }
+  if (!shelter.isActive && String(shelter._id) !== String(currentShelterId)) {
+    throw new AppError('Shelter is not active', 400);
+  }
+  return { shelterId: shelter._id, location: shelter.location.toObject() };
+};
+
+export const createShelter = (data) => Shelter.create(pick(data));
+
+/**
+ * Update a shelter; moving it moves its pets' search location too
+ */
+export const updateShelter = async (shelterId, data) => {
+  const shelter = await Shelter.findById(shelterId);
+  if (!shelter) {
+    throw new AppError('Shelter not found', 404);
+  }
+
+  shelter.set(pick(data));
+  const moved = shelter.isModified('location');
+  await shelter.save();
+
+  if (moved) {
+    await Pet.updateMany({ shelterId: shelter._id }, { location: shelter.location.toObject() });
+  }
+
+  return shelter;
+};
+
+/**
+ * Delete a shelter that no longer houses any pets
+ */
+export const deleteShelter = async (shelterId) => {
+  const shelter = await Shelter.findById(shelterId);
+  if (!shelter) {
+    throw new AppError('Shelter not found', 404);
+  }
+  if (await Pet.exists({ shelterId: shelter._id })) {
+    throw new InvalidTransitionError('Move this shelter\'s pets elsewhere (or deactivate it) before deleting it');
+  }
+
+  await shelter.deleteOne();
+  return shelter;
+};
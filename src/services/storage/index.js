@@ -0,0 +1,58 @@
+import crypto from 'crypto';
+import { createLocalDriver } from './localDriver.js';
+import { createS3Driver } from './s3Driver.js';
+
+const EXTENSIONS = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/gif': 'gif',
+  'image/webp': 'webp',
+  'application/pdf': 'pdf'
+};
+
+let storage = null;
+
+/**
+ * Build the storage driver selected by STORAGE_DRIVER (local by default)
+ */
+const createStorage = () => {
+  const driver = process.env.STORAGE_DRIVER || 'local';
+
+  switch (driver) {
+    case 'local':
+      return createLocalDriver({
+        rootDir: process.env.STORAGE_LOCAL_DIR || 'uploads'
+      });
+    case 's3':
+      return createS3Driver({
+        bucket: process.env.S3_BUCKET,
+        region: process.env.S3_REGION,
+        endpoint: process.env.S3_ENDPOINT,
+        accessKeyId: process.env.S3_ACCESS_KEY_ID,
+        secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+        forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true'
+      });
+    default:
+      throw new Error(`Unknown STORAGE_DRIVER: ${driver}`);
+  }
+};
+
+/**
+ * Get the shared storage driver (created lazily so dotenv has loaded)
+ */
+export const getStorage = () => {
+  if (!storage) {
+    storage = createStorage();
+  }
+  return storage;
+};
+
+/**
+ * Build a unique object key under a prefix, e.g. pets/<id>/<uuid>.jpg
+ */
+export const buildKey = (prefix, contentType) => {
+  const ext = EXTENSIONS[contentType] || 'bin';
+  return `${prefix}/${crypto.randomUUID()}.${ext}`;
+};
+
+export default getStorage;
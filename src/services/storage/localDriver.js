@@ -0,0 +1,60 @@
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Local-disk storage driver. Objects are written under a root directory
+ * using their key as a relative path.
+ */
+export const createLocalDriver = ({ rootDir }) => {
+  const root = path.resolve(rootDir);
+
+  // Resolve a key to an absolute path, refusing anything outside the root
+  const resolveKey = (key) => {
+    const filePath = path.resolve(root, key);
+    if (!filePath.startsWith(root + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  };
+
+  return {
+    name: 'local',
+
+    /**
+     * Write an object
+     */
+    put: async (key, buffer) => {
+      const filePath = resolveKey(key);
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.writeFile(filePath, buffer);
+      return { key, size: buffer.length };
+    },
+
+    /**
+     * Open an object for reading, or null if it does not exist
+     */
+    get: async (key) => {
+      const filePath = resolveKey(key);
+      try {
+        const stats = await fs.promises.stat(filePath);
+        return { stream: fs.createReadStream(filePath), size: stats.size };
+      } catch (err) {
+        if (err.code === 'ENOENT') return null;
+        throw err;
+      }
+    },
+
+    /**
+     * Remove an object (missing objects are ignored)
+     */
+    delete: async (key) => {
+      try {
+        await fs.promises.unlink(resolveKey(key));
+      } catch (err) {
+        if (err.code !== 'ENOENT') throw err;
+      }
+    }
+  };
+};
+
+export default createLocalDriver;
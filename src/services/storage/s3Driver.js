@@ -0,0 +1,64 @@
+import {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  DeleteObjectCommand
+} from '@aws-sdk/client-s3';
+
+/**
+ * S3-compatible storage driver. Works against AWS S3 as well as local
+ * stand-ins such as MinIO when an endpoint is configured.
+ */
+export const createS3Driver = ({ bucket, region, endpoint, accessKeyId, secretAccessKey, forcePathStyle }) => {
+  if (!bucket) {
+    throw new Error('S3_BUCKET is required for the s3 storage driver');
+  }
+
+  const client = new S3Client({
+    region: region || 'us-east-1',
+    ...(endpoint && { endpoint }),
+    forcePathStyle: Boolean(forcePathStyle),
+    ...(accessKeyId && secretAccessKey && {
+      credentials: { accessKeyId, secretAccessKey }
+    })
+  });
+
+  return {
+    name: 's3',
+
+    /**
+     * Write an object
+     */
+    put: async (key, buffer, { contentType } = {}) => {
+      await client.send(new PutObjectCommand({
+        Bucket: bucket,
+        Key: key,
+        Body: buffer,
+        ContentType: contentType
+      }));
+      return { key, size: buffer.length };
+    },
+
+    /**
+     * Open an object for reading, or null if it does not exist
+     */
+    get: async (key) => {
+      try {
+        const result = await client.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+        return { stream: result.Body, size: result.ContentLength };
+      } catch (err) {
+        if (err.name === 'NoSuchKey' || err.$metadata?.httpStatusCode === 404) return null;
+        throw err;
+      }
+    },
+
+    /**
+     * Remove an object (S3 treats missing keys as success)
+     */
+    delete: async (key) => {
+      await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+    }
+  };
+};
+
+export default createS3Driver;
@@ -0,0 +1,152 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import RefreshToken from '../models/RefreshToken.js';
+import User from '../models/User.js';
+import { AppError } from '../utils/errors.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const accessTokenLifetime = () => process.env.JWT_EXPIRES_IN || '15m';
+
+const refreshTokenLifetimeMs = () =>
+  (parseInt(process.env.REFRESH_TOKEN_EXPIRES_DAYS) || 30) * DAY_MS;
+
+/**
+ * SHA-256 of a random token, so stored hashes cannot be replayed
+ */
+export const hashToken = (token) =>
+  crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Create a random URL-safe token together with its hash
+ */
+export const generateToken = () => {
+  const token = crypto.randomBytes(48).toString('base64url');
+  return { token, tokenHash: hashToken(token) };
+};
+
+/**
+ * Sign a short-lived access token bound to a session (token family)
+ */
+export const signAccessToken = (user, sessionId) =>
+  jwt.sign(
+    { id: user._id, email: user.email, role: user.role, sid: sessionId },
+    process.env.JWT_SECRET,
+    { expiresIn: accessTokenLifetime() }
+  );
+
+// Store a new refresh token in a family and return the raw value
+const issueRefreshToken = async (userId, family, { ip, userAgent } = {}) => {
+  const { token, tokenHash } = generateToken();
+  await RefreshToken.create({
+    userId,
+    tokenHash,
+    family,
+    expiresAt: new Date(Date.now() + refreshTokenLifetimeMs()),
+    createdByIp: ip,
+    userAgent: userAgent ? userAgent.slice(0, 500) : undefined
+  });
+  return token;
+};
+
+// Body returned by every endpoint that hands out tokens
+const buildTokenPair = async (user, family, context) => ({
+  token: signAccessToken(user, family),
+  refreshToken: await issueRefreshToken(user._id, family, context),
+  expiresIn: accessTokenLifetime()
+});
+
+/**
+ * Start a new session for a user (login/signup)
+ */
+export const createSession = (user, context) =>
+  buildTokenPair(user, crypto.randomUUID(), context);
+
+/**
+ * Revoke every token of one session
+ */
+export const revokeSession = (family, reason) =>
+  RefreshToken.updateMany(
+    { family, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+
+/**
+ * Revoke every session of a user, optionally keeping one (the caller's)
+ */
+export const revokeAllSessions = (userId, reason, { except } = {}) =>
+  RefreshToken.updateMany(
+    { userId, revokedAt: null, ...(except && { family: { $ne: except } }) },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+
+/**
+ * Exchange a refresh token for a new token pair. Presenting a token that
+ * was already rotated or revoked is treated as theft and kills its family.
+ */
+export const rotateRefreshToken = async (refreshToken, context) => {
+  if (!refreshToken || typeof refreshToken !== 'string') {
+    throw new AppError('Refresh token is required', 400);
+  }
+
+  const tokenHash = hashToken(refreshToken);
+  const now = new Date();
+
+  // Claim the token atomically so concurrent refreshes cannot both succeed
+  const current = await RefreshToken.findOneAndUpdate(
+    { tokenHash, rotatedAt: null, revokedAt: null, expiresAt: { $gt: now } },
+    { rotatedAt: now },
+    { new: true }
+  );
+
+  if (!current) {
+    const known = await RefreshToken.findOne({ tokenHash });
+    if (known && (known.rotatedAt || known.revokedAt)) {
+      await revokeSession(known.family, 'reuse_detected');
+      throw new AppError('Refresh token reuse detected, session revoked', 401);
+    }
+    throw new AppError('Invalid or expired refresh token', 401);
+  }
+
+  const user = await User.findById(current.userId);
+  if (!user) {
+    await revokeSession(current.family, 'logout');
+    throw new AppError('Invalid or expired refresh token', 401);
+  }
+  if (!user.isActive) {
+    await revokeSession(current.family, 'account_deactivated');
+    throw new AppError('Account is deactivated', 403);
+  }
+
+  return { user, ...(await buildTokenPair(user, current.family, context)) };
+};
+
+/**
+ * End the session a refresh token belongs to. Unknown tokens are ignored
+ * so logout is idempotent.
+ */
+export const revokeRefreshToken = async (refreshToken) => {
+  if (!refreshToken || typeof refreshToken !== 'string') {
+    throw new AppError('Refresh token is required', 400);
+  }
+
+  const token = await RefreshToken.findOne({ tokenHash: hashToken(refreshToken) });
+  if (token) {
+    await revokeSession(token.family, 'logout');
+  }
+  return token;
+};
+
+/**
+ * Whether a session still has a live refresh token
+ */
+export const isSessionActive = async (family) => {
+  if (!family) return false;
+  const active = await RefreshToken.exists({
+    family,
+    revokedAt: null,
+    rotatedAt: null,
+    expiresAt: { $gt: new Date() }
+  });
+  return Boolean(active);
+};
@@ -0,0 +1,18 @@
+import mongoose from 'mongoose';
+
+/**
+ * Run `fn(session)` inside a MongoDB transaction (retried on transient
+ * write conflicts). Requires a replica set, which Atlas always provides.
+ */
+export const runInTransaction = async (fn) => {
+  const session = await mongoose.startSession();
+  try {
+    let result;
+    await session.withTransaction(async () => {
+      result = await fn(session);
+    });
+    return result;
+  } finally {
+    await session.endSession();
+  }
+};
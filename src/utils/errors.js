@@ -0,0 +1,36 @@
+/**
+ * Error carrying an HTTP status code, for failures raised outside route
+ * handlers (services, models) that should reach the client as-is
+ */
+export class AppError extends Error {
+  constructor(message, statusCode = 500) {
+    super(message);
+    this.name = 'AppError';
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * A status change that the adoption workflow does not allow from the
+ * current state
+ */
+export class InvalidTransitionError extends AppError {
+  constructor(message) {
+    super(message, 409);
+    this.name = 'InvalidTransitionError';
+  }
+}
+
+/**
+ * Input that failed validation field by field; `errors` lists
+ * { field, message } like the global handler does for Mongoose errors
+ */
+export class FieldValidationError extends AppError {
+  constructor(errors, message = 'Validation failed') {
+    super(message, 422);
+    this.name = 'FieldValidationError';
+    this.errors = errors;
+  }
+}
+
+export default AppError;
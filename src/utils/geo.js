@@ -0,0 +1,45 @@
+/**
+ * Helpers for location queries. Distances are in kilometres; GeoJSON
+ * coordinates are [longitude, latitude].
+ */
+
+export const EARTH_RADIUS_KM = 6378.1;
+
+/**
+ * Parse "lat,lng" (e.g. from ?near=) into a GeoJSON Point, or null when
+ * malformed or out of range
+ */
+export const parseLatLng = (value) => {
+  const parts = String(value).split(',').map(part => part.trim());
+  if (parts.length !== 2 || parts.some(part => part === '')) return null;
+
+  const [lat, lng] = parts.map(Number);
+  if (!Number.isFinite(lat) || !Number.isFinite(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+    return null;
+  }
+  return { type: 'Point', coordinates: [lng, lat] };
+};
+
+/**
+ * Query matching points within `radiusKm` of `point`. Unlike $near it
+ * works with countDocuments and alongside $text.
+ */
+export const withinRadius = (point, radiusKm) => ({
+  $geoWithin: { $centerSphere: [point.coordinates, radiusKm / EARTH_RADIUS_KM] }
+});
+
+/**
+ * Great-circle distance between two GeoJSON Points, in kilometres
+ */
+export const distanceKm = (a, b) => {
+  const toRad = (deg) => (deg * Math.PI) / 180;
+  const [lng1, lat1] = a.coordinates;
+  const [lng2, lat2] = b.coordinates;
+  const dLat = toRad(lat2 - lat1);
+  const dLng = toRad(lng2 - lng1);
+  const h = Math.sin(dLat / 2) ** 2 + Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(h));
+};
+
+// Distances are reported to 0.1 km
+export const roundKm = (km) => Math.round(km * 10) / 10;
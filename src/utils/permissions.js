@@ -0,0 +1,56 @@
+/**
+ * Role-based permissions. Routes check named permissions through
+ * requirePermission() rather than comparing role names.
+ */
+export const PERMISSIONS = {
+  PETS_WRITE: 'pets:write',
+  PETS_DELETE: 'pets:delete',
+  PETS_HEALTH: 'pets:health',
+  APPLICATIONS_READ: 'applications:read',
+  APPLICATIONS_DECIDE: 'applications:decide',
+  QUESTIONNAIRES_MANAGE: 'questionnaires:manage',
+  APPOINTMENTS_MANAGE: 'appointments:manage',
+  FOLLOW_UPS_MANAGE: 'follow-ups:manage',
+  INTAKE_MANAGE: 'intake:manage',
+  FOSTERS_MANAGE: 'fosters:manage',
+  SHELTERS_MANAGE: 'shelters:manage',
+  USERS_MANAGE: 'users:manage'
+};
+
+export const ROLES = ['user', 'volunteer', 'vet', 'admin'];
+
+export const ROLE_PERMISSIONS = {
+  user: [],
+  // Volunteers maintain pet listings, see the application queue, run
+  // visits, follow up with adopters, handle returns and surrenders and
+  // coordinate fosters
+  volunteer: [
+    PERMISSIONS.PETS_WRITE,
+    PERMISSIONS.APPLICATIONS_READ,
+    PERMISSIONS.APPOINTMENTS_MANAGE,
+    PERMISSIONS.FOLLOW_UPS_MANAGE,
+    PERMISSIONS.INTAKE_MANAGE,
+    PERMISSIONS.FOSTERS_MANAGE
+  ],
+  // Vets only touch health data
+  vet: [
+    PERMISSIONS.PETS_HEALTH
+  ],
+  admin: Object.values(PERMISSIONS)
+};
+
+// Pet fields editable with pets:health alone
+export const PET_HEALTH_FIELDS = ['healthStatus'];
+
+/**
+ * Permissions granted to a role (unknown roles get none)
+ */
+export const permissionsForRole = (role) => ROLE_PERMISSIONS[role] || [];
+
+/**
+ * Whether a role grants a permission
+ */
+export const hasPermission = (role, permission) =>
+  permissionsForRole(role).includes(permission);
+
+export default PERMISSIONS;
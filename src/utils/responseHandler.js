@@ -65,6 +65,18 @@ export const responseHandler = {
     });
   },
 
+  /**
+   * Rate limited response, with Retry-After in seconds
+   */
+  tooManyRequests: (res, message = 'Too many requests', retryAfter = 60) => {
+    res.set('Retry-After', String(retryAfter));
+    return res.status(429).json({
+      success: false,
+      message,
+      retryAfter
+    });
+  },
+
   /**
    * Forbidden response
    */
@@ -39,6 +39,13 @@ export const validationUtils = {
     return validator.isMongoId(id);
   },
 
+  /**
+   * Escape a string for literal use inside a regular expression
+   */
+  escapeRegex: (str) => {
+    return String(str).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  },
+
   /**
    * Sanitize input string
    */